@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+const repository = require('../services/repository');
+const { isUnavailableError } = require('../services/resilience');
+
+const unauthorized = (res, message) => res.status(401).json({ error: 'Unauthorized', message });
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Look up the user and session a verified token names. Returns { user }, or { error } with
+// the reason the token is no longer accepted.
+const checkTokenUser = async ({ userId, sid }) => {
+  // Tokens from before sessions existed name no session and so could never be revoked
+  if (!sid) {
+    return { error: 'Token has no session; please sign in again' };
+  }
+  const [user, session] = await Promise.all([
+    repository.getUserById(userId),
+    repository.getSessionById(sid)
+  ]);
+  if (!user) {
+    return { error: 'User no longer exists' };
+  }
+  if (!session || session.revoked_at || session.user_id !== user.id) {
+    return { error: 'Session has been revoked' };
+  }
+  return { user };
+};
+
+// Verify the Bearer token issued by /api/auth and attach the current user to req.user.
+// Every token names its session (sid) and stops working as soon as that session is revoked;
+// its id is attached as req.sessionId.
+const verifyToken = (getToken) => async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    return unauthorized(res, 'Missing authentication token');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return unauthorized(res, 'Token expired');
+    }
+    return unauthorized(res, 'Invalid token');
+  }
+
+  try {
+    const { user, error } = await checkTokenUser(payload);
+    if (error) {
+      return unauthorized(res, error);
+    }
+
+    req.user = user;
+    req.sessionId = payload.sid;
+    next();
+  } catch (error) {
+    // Storage is down: a route that can defer its work goes on with the signed token alone
+    if (isUnavailableError(error) && req.allowDeferred) {
+      req.user = { id: payload.userId, unverified: true };
+      req.sessionId = payload.sid;
+      return next();
+    }
+    console.error('Auth middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const authenticate = verifyToken(bearerToken);
+
+// For event streams: browsers' EventSource cannot set headers, so ?access_token= is accepted
+// too. Only use it on routes whose URLs are not logged or cached with the token in them.
+const authenticateStream = verifyToken((req) => bearerToken(req) || req.query.access_token || null);
+
+// Mark a route whose work can be queued while storage is unavailable (see POST /api/expenses).
+// If storage cannot be read, authenticate and selectGroup then let the request through with
+// req.user.unverified / req.group.unverified set, and the route must run every check again
+// (checkTokenUser, findGroup, permissions) before it writes anything.
+const allowDeferred = (req, res, next) => {
+  req.allowDeferred = true;
+  next();
+};
+
+module.exports = { authenticate, authenticateStream, allowDeferred, checkTokenUser };
@@ -0,0 +1,101 @@
+const repository = require('../services/repository');
+const { SPLIT_TYPES, normalizeConsumers, validateSplit } = require('../services/splits');
+const { memberErrors } = require('./group');
+
+// Expense input shared by the expense routes and sync push: the body schema and the checks
+// that need the group's data. Permission checks are up to the caller (see ./permissions).
+const expenseSchema = {
+  product_name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  quantity: { type: 'integer', min: 1 },
+  amount: { type: 'number', required: true, positive: true },
+  expense_date: { type: 'date', required: true },
+  note: { type: 'string', maxLength: 1000 },
+  paid_by: { type: 'id' },
+  category_id: { type: 'id', nullable: true },
+  split_type: { type: 'enum', values: SPLIT_TYPES },
+  consumers: { type: 'array', required: true, minItems: 1 }
+};
+
+// Checks that need the group's data: the split adds up, the category and every referenced
+// user belong to the group. When editing, pass the existing expense so that only users the edit
+// adds are checked (see memberErrors). Returns field errors.
+const referenceErrors = async (groupId, { amount, paid_by, category_id, split_type, consumers }, existing = null) => {
+  const errors = [];
+  const splitError = validateSplit(amount, split_type, consumers);
+  if (splitError) errors.push({ field: 'consumers', message: splitError });
+
+  if (category_id && !(await repository.getCategoryById(category_id, { groupId }))) {
+    errors.push({ field: 'category_id', message: 'Category not found' });
+  }
+  const userIds = consumers.map((c) => c.user_id).filter((id) => !Number.isNaN(id));
+  const existingIds = existing ? [existing.paid_by.id, ...existing.consumers.map((c) => c.id)] : [];
+  errors.push(...(await memberErrors(groupId, { paid_by: [paid_by], consumers: userIds }, { existing: existingIds })));
+  return errors;
+};
+
+// Fields for repository.createExpense from a body validated against expenseSchema; the payer
+// defaults to the caller. Returns { errors } or { expense }.
+const newExpenseInput = async (req, body) => {
+  const { product_name, quantity, amount, expense_date, note, consumers, category_id, split_type = 'equal' } = body;
+  const paid_by = body.paid_by || req.user.id;
+
+  const splitConsumers = normalizeConsumers(consumers, split_type);
+  const errors = await referenceErrors(req.group.id, {
+    amount,
+    paid_by,
+    category_id,
+    split_type,
+    consumers: splitConsumers
+  });
+  if (errors.length > 0) return { errors };
+
+  return {
+    expense: {
+      product_name,
+      quantity: quantity || 1,
+      paid_by,
+      amount,
+      expense_date,
+      note: note || '',
+      category_id: category_id || null,
+      split_type,
+      consumers: splitConsumers,
+      group_id: req.group.id,
+      created_by: req.user.id
+    }
+  };
+};
+
+// Changes for repository.updateExpense from a body validated against partial(expenseSchema).
+// The split is re-validated whenever the amount or the consumers change. Returns { errors } or
+// { changes }.
+const expenseChangesInput = async (req, existing, body) => {
+  const changes = {};
+  ['product_name', 'quantity', 'paid_by', 'amount', 'expense_date', 'note', 'category_id'].forEach((field) => {
+    if (body[field] !== undefined) changes[field] = body[field];
+  });
+  if (changes.category_id === null) changes.category_id = '';
+
+  const split_type = body.split_type || existing.split_type;
+  const consumers = body.consumers || (body.split_type ? undefined : existing.consumers);
+  if (!consumers || consumers.length === 0) {
+    return { errors: [{ field: 'consumers', message: 'consumers are required when changing split_type' }] };
+  }
+  const splitConsumers = normalizeConsumers(consumers, split_type);
+  const errors = await referenceErrors(req.group.id, {
+    amount: changes.amount ?? existing.amount,
+    paid_by: changes.paid_by ?? existing.paid_by.id,
+    category_id: changes.category_id,
+    split_type,
+    consumers: splitConsumers
+  }, existing);
+  if (errors.length > 0) return { errors };
+
+  if (body.consumers || body.split_type) {
+    changes.split_type = split_type;
+    changes.consumers = splitConsumers;
+  }
+  return { changes };
+};
+
+module.exports = { expenseSchema, referenceErrors, newExpenseInput, expenseChangesInput };
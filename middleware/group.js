@@ -0,0 +1,71 @@
+const repository = require('../services/repository');
+const { isUnavailableError } = require('../services/resilience');
+
+const forbidden = (res, message) => res.status(403).json({ error: 'Forbidden', message });
+
+// The group a user operates in: requestedId if they are a member of it, otherwise their first
+// group. Returns { group } (with the user's role and active flag), or { error }.
+const findGroup = async (userId, requestedId) => {
+  const groups = await repository.getUserGroups(userId);
+
+  if (requestedId) {
+    const group = groups.find((g) => g.id === parseInt(requestedId));
+    return group ? { group } : { error: 'You are not a member of this group' };
+  }
+  return groups.length > 0 ? { group: groups[0] } : { error: 'Create or join a group first' };
+};
+
+// Resolve the group a request operates in and attach it to req.group.
+// The group is chosen with the X-Group-Id header (or ?group_id=); without one the caller's
+// first group is used. Must run after authenticate.
+const selectGroup = async (req, res, next) => {
+  const requestedId = req.headers['x-group-id'] || req.query.group_id;
+  try {
+    const { group, error } = await findGroup(req.user.id, requestedId);
+    if (error) {
+      return forbidden(res, error);
+    }
+
+    req.group = group;
+    next();
+  } catch (error) {
+    // Storage is down: a route that can defer its work checks membership when it runs
+    // (see allowDeferred)
+    if (isUnavailableError(error) && req.allowDeferred) {
+      req.group = { id: requestedId ? parseInt(requestedId) : null, unverified: true };
+      return next();
+    }
+    console.error('Group middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Field errors for referenced users that do not exist, are not members of the group or have
+// been deactivated in it. fields maps a body field to the user ids it references, e.g.
+// { paid_by: [1], consumers: [2, 3] }. allowInactive accepts deactivated users. existing holds
+// the ids already on the record being edited: they are accepted even if they have left the
+// group or been deactivated since, so an edit only checks the users it adds.
+const memberErrors = async (groupId, fields, { allowInactive = false, existing = [] } = {}) => {
+  const [users, members] = await Promise.all([repository.getUsers(), repository.getUsers({ groupId })]);
+  const userIds = new Set(users.map((u) => u.id));
+  const memberIds = new Set(members.map((m) => m.id));
+  const inactiveIds = new Set(members.filter((m) => !m.active).map((m) => m.id));
+  const existingIds = new Set(existing.map((id) => parseInt(id)));
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, ids]) => {
+    [...new Set(ids.map((id) => parseInt(id)))].forEach((id) => {
+      if (existingIds.has(id)) return;
+      if (!userIds.has(id)) {
+        errors.push({ field, message: `User ${id} does not exist` });
+      } else if (!memberIds.has(id)) {
+        errors.push({ field, message: `User ${id} is not a member of this group` });
+      } else if (inactiveIds.has(id) && !allowInactive) {
+        errors.push({ field, message: `User ${id} has been deactivated` });
+      }
+    });
+  });
+  return errors;
+};
+
+module.exports = { findGroup, selectGroup, memberErrors };
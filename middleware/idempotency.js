@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { sendValidationError } = require('./validate');
+
+// Idempotency-Key support for POST endpoints.
+// The first request with a key runs normally and its response is remembered; a repeat with
+// the same key (from the same caller, on the same endpoint) gets that response replayed
+// instead of creating the resource again. Keys are kept in memory for IDEMPOTENCY_TTL_HOURS
+// (24 by default), which covers client retries, and at most IDEMPOTENCY_MAX_KEYS of them
+// (10000 by default; the oldest go first). 5xx responses are not remembered so a retry after
+// a server error runs again, and neither is a request that never answered: its key is
+// released after IN_PROGRESS_TIMEOUT_MS.
+const TTL_MS = (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.IDEMPOTENCY_MAX_KEYS) || 10000;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// scope -> { fingerprint, createdAt, response: { status, body } | null while in progress },
+// oldest first
+const entries = new Map();
+
+const prune = () => {
+  const now = Date.now();
+  entries.forEach((entry, scope) => {
+    const timeout = entry.response ? TTL_MS : IN_PROGRESS_TIMEOUT_MS;
+    if (now - entry.createdAt > timeout) entries.delete(scope);
+  });
+  // Make room for the entry about to be added
+  for (const scope of entries.keys()) {
+    if (entries.size < MAX_ENTRIES) break;
+    entries.delete(scope);
+  }
+};
+
+const fingerprintOf = (req) =>
+  crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+const idempotent = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    const message = `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`;
+    return sendValidationError(res, [{ field: 'Idempotency-Key', message }], 'headers');
+  }
+
+  prune();
+  const caller = req.user ? `user:${req.user.id}` : 'anonymous';
+  const group = req.group ? `group:${req.group.id}` : '';
+  const scope = [caller, group, req.method, req.baseUrl + req.path, key].join('|');
+  const fingerprint = fingerprintOf(req);
+  const existing = entries.get(scope);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used with a different request body' });
+    }
+    if (!existing.response) {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.status).json(existing.response.body);
+  }
+
+  const entry = { fingerprint, createdAt: Date.now(), response: null };
+  entries.set(scope, entry);
+  const forget = () => {
+    if (entries.get(scope) === entry) entries.delete(scope);
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      forget();
+    } else {
+      entry.response = { status: res.statusCode, body };
+    }
+    return json(body);
+  };
+  // Forget the key if the handler ends without a JSON response (an error passed to Express,
+  // or the client went away)
+  res.on('close', () => {
+    if (!entry.response) forget();
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
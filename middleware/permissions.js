@@ -0,0 +1,75 @@
+// Role-based permissions within a group. A member's role is stored on their group
+// membership (group_members.role); each role can do everything the roles before it can:
+//   viewer - read only
+//   member - records expenses they paid, edits their own expenses, manages categories and the
+//            shopping list
+//   admin  - records and edits any expense, manages members, recurring bills and settlements
+//   owner  - the group's creator; also manages webhooks and admins
+// Members deactivated in the group (see routes/users) keep read access only, whatever their role.
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// Lowest role allowed to do each action, and how to describe the action in a 403
+const PERMISSIONS = {
+  'expenses.create': { role: 'member', description: 'record expenses' },
+  'expenses.edit_own': { role: 'member', description: 'change expenses' },
+  'expenses.edit_any': { role: 'admin', description: "change other members' expenses" },
+  'expenses.pay_for_others': { role: 'admin', description: 'record expenses paid by someone else' },
+  'expenses.import': { role: 'admin', description: 'import expenses' },
+  'categories.manage': { role: 'member', description: 'manage categories' },
+  'shopping.manage': { role: 'member', description: 'change the shopping list' },
+  'settlements.manage': { role: 'admin', description: 'record settlements' },
+  'recurring.manage': { role: 'admin', description: 'manage recurring bills' },
+  'users.manage': { role: 'admin', description: 'manage members' },
+  'admins.manage': { role: 'owner', description: 'appoint or remove admins' },
+  'webhooks.manage': { role: 'owner', description: 'manage webhooks' }
+};
+
+// Memberships created before roles other than owner/member existed may have an empty role
+const roleOf = (group) => {
+  if (group.active === false) return 'viewer';
+  return ROLES.includes(group.role) ? group.role : 'member';
+};
+
+const can = (group, action) => ROLES.indexOf(roleOf(group)) >= ROLES.indexOf(PERMISSIONS[action].role);
+
+// 403 body for an action the caller's role does not allow
+const denial = (group, action) => ({
+  error: 'Forbidden',
+  message:
+    group.active === false
+      ? `You have been deactivated in this group and can no longer ${PERMISSIONS[action].description}`
+      : `Your role in this group (${roleOf(group)}) does not allow you to ${PERMISSIONS[action].description}`,
+  required_role: PERMISSIONS[action].role
+});
+
+const forbidAction = (res, group, action) => res.status(403).json(denial(group, action));
+
+// Route middleware: reject the request unless the caller's role in req.group allows action.
+// A group that could not be looked up (see allowDeferred in ./auth) is let through: the
+// deferred work checks the role when it runs.
+const permit = (action) => (req, res, next) =>
+  req.group.unverified || can(req.group, action) ? next() : forbidAction(res, req.group, action);
+
+// Expenses a member owns: ones they recorded, or paid for when the recorder is unknown
+const ownsExpense = (expense, userId) =>
+  expense.created_by ? expense.created_by === userId : expense.paid_by.id === userId;
+
+// Action the caller needs to change an existing expense
+const expenseAction = (req, expense) => (ownsExpense(expense, req.user.id) ? 'expenses.edit_own' : 'expenses.edit_any');
+
+// Check whether the caller may change an existing expense; sends the 403 and returns false if not
+const checkExpenseAccess = (req, res, expense) => {
+  const action = expenseAction(req, expense);
+  if (can(req.group, action)) return true;
+  forbidAction(res, req.group, action);
+  return false;
+};
+
+// Check that a member only records expenses paid by themselves; sends the 403 and returns false if not
+const checkPayer = (req, res, paidBy) => {
+  if (parseInt(paidBy) === req.user.id || can(req.group, 'expenses.pay_for_others')) return true;
+  forbidAction(res, req.group, 'expenses.pay_for_others');
+  return false;
+};
+
+module.exports = { ROLES, roleOf, can, permit, denial, forbidAction, expenseAction, checkExpenseAccess, checkPayer };
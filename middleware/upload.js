@@ -0,0 +1,35 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE, MAX_FILES } = require('../services/attachments');
+const { sendValidationError } = require('./validate');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send file names as raw UTF-8; busboy would read them as latin1
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES }
+}).array('files', MAX_FILES);
+
+const uploadErrorMessage = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Each file must be at most ${MAX_FILE_SIZE / 1024 / 1024} MB`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Upload at most ${MAX_FILES} file(s) in the "files" field`;
+    default:
+      return error.message;
+  }
+};
+
+// Parse a multipart/form-data upload into req.files (held in memory, checked by the route)
+const uploadFiles = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return sendValidationError(res, [{ field: 'files', message: uploadErrorMessage(error) }]);
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadFiles };
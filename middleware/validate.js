@@ -0,0 +1,38 @@
+const { validate: validateSchema } = require('../services/validation');
+
+// Every validation failure uses this envelope:
+//   { error: 'Bad Request', message, errors: [{ location, field, message }] }
+// message repeats the first problem for clients that only show a single message.
+const sendValidationError = (res, errors, location = 'body') => {
+  const fieldErrors = errors.map((error) => ({ location, ...error }));
+  return res.status(400).json({ error: 'Bad Request', message: fieldErrors[0].message, errors: fieldErrors });
+};
+
+// Check req.query and req.body against schemas (see services/validation) before
+// the handler runs. Valid fields are replaced by their converted values, e.g. "12" -> 12.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  ['query', 'body'].forEach((location) => {
+    if (!schemas[location]) return;
+
+    const { values, errors: locationErrors } = validateSchema(req[location], schemas[location]);
+    errors.push(...locationErrors.map((error) => ({ location, ...error })));
+    req[location] = { ...req[location], ...values };
+  });
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
+
+// router.param handler for numeric :id segments
+const validateIdParam = (req, res, next, id) => {
+  if (!/^[1-9]\d*$/.test(id)) {
+    return sendValidationError(res, [{ field: 'id', message: 'id must be an id (a positive integer)' }], 'params');
+  }
+  next();
+};
+
+module.exports = { validate, validateIdParam, sendValidationError };
@@ -0,0 +1,103 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { readFile, removeFiles } = require('../services/attachments');
+const { validateIdParam } = require('../middleware/validate');
+const { can, forbidAction, checkExpenseAccess } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+// Find an attachment in one of the caller's groups, or send 404 (others cannot tell it exists).
+// That group becomes req.group.
+const findAttachment = async (req, res) => {
+  const [attachment, groups] = await Promise.all([
+    repository.getAttachmentById(req.params.id),
+    repository.getUserGroups(req.user.id)
+  ]);
+  const group = attachment && groups.find((g) => g.id === attachment.group_id);
+  if (!group) {
+    res.status(404).json({ message: 'Attachment not found' });
+    return null;
+  }
+  req.group = group;
+  return attachment;
+};
+
+// Content-Disposition with the original name for browsers that read filename* (RFC 5987) and
+// an ASCII approximation for those that do not
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const sendFile = async (res, key, type, filename) => {
+  const file = await readFile(key);
+  if (!file) {
+    return res.status(404).json({ message: 'Attachment file is missing' });
+  }
+  res.type(type);
+  res.set('Cache-Control', 'private, max-age=86400');
+  // Uploads are shown inline: never let the browser guess a more dangerous type
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (filename) {
+    res.set('Content-Disposition', contentDisposition(filename));
+  }
+  res.send(file);
+};
+
+// Download the original file
+router.get('/:id', async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    await sendFile(res, attachment.storage_key, attachment.mime_type, attachment.filename);
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the thumbnail (images only)
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+    if (!attachment.thumbnail_key) {
+      return res.status(404).json({ message: 'This attachment has no thumbnail' });
+    }
+
+    await sendFile(res, attachment.thumbnail_key, 'image/jpeg');
+  } catch (error) {
+    console.error('Get attachment thumbnail error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an attachment and its files
+router.delete('/:id', async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+    // Same as adding attachments (routes/expenses); req.group is only known at this point
+    if (!can(req.group, 'expenses.edit_own')) {
+      return forbidAction(res, req.group, 'expenses.edit_own');
+    }
+    const expense = await repository.getExpenseById(attachment.expense_id, { includeDeleted: true });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!checkExpenseAccess(req, res, expense)) return;
+
+    await repository.deleteAttachment(attachment, req.user.id);
+    await removeFiles(attachment);
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
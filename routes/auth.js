@@ -1,38 +1,72 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const sheetsService = require('../services/sheets');
+const repository = require('../services/repository');
+const { startSession, refreshSession } = require('../services/tokens');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
 
 const router = express.Router();
 
-// Register
-router.post('/register', async (req, res) => {
+router.param('id', validateIdParam);
+
+const registerSchema = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  // bcrypt only uses the first 72 bytes
+  password: { type: 'string', required: true, minLength: 6, maxLength: 72 }
+};
+
+const loginSchema = {
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+const refreshSchema = {
+  refresh_token: { type: 'string', required: true, maxLength: 200 }
+};
+
+const toSessionInfo = (session, currentId) => ({
+  id: session.id,
+  device: session.device,
+  ip: session.ip,
+  created_at: session.created_at,
+  last_used_at: session.last_used_at,
+  expires_at: session.expires_at,
+  current: session.id === currentId
+});
+
+// Register (an Idempotency-Key header makes client retries safe)
+router.post('/register', idempotent, validate({ body: registerSchema }), async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
     // Check if user exists
-    const existingUser = await sheetsService.getUserByEmail(email);
+    const existingUser = await repository.getUserByEmail(email);
     if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+      return sendValidationError(res, [{ field: 'email', message: 'User already exists' }]);
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const user = await sheetsService.createUser({
+    // Create user; checked again under the users lock, for a registration that raced this one
+    const user = await repository.createUser({
       name,
       email,
       password: hashedPassword
     });
+    if (!user) {
+      return sendValidationError(res, [{ field: 'email', message: 'User already exists' }]);
+    }
 
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Sign in on this device
+    const tokens = await startSession(user.id, req);
 
     res.status(201).json({
       message: 'User created successfully',
       user: { id: user.id, name: user.name, email: user.email },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -41,12 +75,12 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', validate({ body: loginSchema }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Find user
-    const user = await sheetsService.getUserByEmail(email);
+    const user = await repository.getUserByEmail(email);
     if (!user) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
@@ -57,13 +91,13 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Sign in on this device
+    const tokens = await startSession(user.id, req);
 
     res.json({
       message: 'Login successful',
       user: { id: user.id, name: user.name, email: user.email },
-      token
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -71,4 +105,60 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token (the old one stops working)
+router.post('/refresh', validate({ body: refreshSchema }), async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refresh_token, req);
+    if (result.error) {
+      return res.status(401).json({ error: 'Unauthorized', message: result.error });
+    }
+    res.json({ message: 'Token refreshed', ...result.tokens });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out this device, or every device with { "all": true }
+router.post('/logout', authenticate, validate({ body: { all: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    if (req.body.all) {
+      const count = await repository.revokeUserSessions(req.user.id);
+      return res.json({ message: `Logged out of ${count} session(s)` });
+    }
+    await repository.revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Active sessions (signed-in devices) of the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await repository.getActiveSessions(req.user.id);
+    res.json(sessions.map((session) => toSessionInfo(session, req.sessionId)));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out one device, e.g. a lost phone
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await repository.getSessionById(req.params.id);
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await repository.revokeSession(session.id);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
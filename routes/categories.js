@@ -0,0 +1,101 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { partial } = require('../services/validation');
+const { validate, validateIdParam } = require('../middleware/validate');
+const { permit } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+const categorySchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  color: { type: 'string', maxLength: 30 },
+  monthly_budget: { type: 'number', min: 0, nullable: true },
+  alert_threshold: { type: 'number', positive: true, nullable: true }
+};
+
+const pickCategoryFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.color !== undefined) fields.color = body.color || '';
+  if (body.monthly_budget !== undefined) {
+    fields.monthly_budget = body.monthly_budget === null ? '' : Number(body.monthly_budget);
+  }
+  if (body.alert_threshold !== undefined) {
+    fields.alert_threshold = body.alert_threshold === null ? '' : Number(body.alert_threshold);
+  }
+  return fields;
+};
+
+// Get all categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await repository.getCategories({ groupId: req.group.id });
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Budget usage per category for ?month=YYYY-MM (defaults to the current month)
+router.get('/budget', validate({ query: { month: { type: 'month' } } }), async (req, res) => {
+  try {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+
+    const usage = await repository.getBudgetUsage(month, { groupId: req.group.id });
+    res.json(usage);
+  } catch (error) {
+    console.error('Get budget usage error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create category
+router.post('/', permit('categories.manage'), validate({ body: categorySchema }), async (req, res) => {
+  try {
+    const category = await repository.createCategory({ ...pickCategoryFields(req.body), group_id: req.group.id });
+    res.status(201).json({ message: 'Category created successfully', category });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update category
+router.put('/:id', permit('categories.manage'), validate({ body: partial(categorySchema) }), async (req, res) => {
+  try {
+    if (!(await repository.getCategoryById(req.params.id, { groupId: req.group.id }))) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const category = await repository.updateCategory(req.params.id, pickCategoryFields(req.body));
+    res.json({ message: 'Category updated successfully', category });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete category (only when no expense uses it)
+router.delete('/:id', permit('categories.manage'), async (req, res) => {
+  try {
+    if (!(await repository.getCategoryById(req.params.id, { groupId: req.group.id }))) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const expenses = await repository.getExpenses({ includeDeleted: true, groupId: req.group.id });
+    if (expenses.some((e) => e.category && e.category.id === parseInt(req.params.id))) {
+      return res.status(409).json({ message: 'Category is used by existing expenses' });
+    }
+
+    await repository.deleteCategory(req.params.id);
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
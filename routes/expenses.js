@@ -1,49 +1,137 @@
+const crypto = require('crypto');
 const express = require('express');
-const sheetsService = require('../services/sheets');
+const repository = require('../services/repository');
+const { parseExpenseQuery, filterExpenses, paginateExpenses } = require('../services/expenseQuery');
+const { partial } = require('../services/validation');
+const { expenseSchema, newExpenseInput, expenseChangesInput } = require('../middleware/expenseInput');
+const { can, denial, permit, checkExpenseAccess, checkPayer } = require('../middleware/permissions');
+const { checkTokenUser } = require('../middleware/auth');
+const { findGroup } = require('../middleware/group');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
+const writeQueue = require('../services/writeQueue');
+const { MAX_FILES, validateFile, storeFile, removeFiles } = require('../services/attachments');
+const { uploadFiles } = require('../middleware/upload');
+const { isUnavailableError } = require('../services/resilience');
 
 const router = express.Router();
 
-// Get all expenses
-router.get('/', async (req, res) => {
+router.param('id', validateIdParam);
+
+const includeDeletedQuery = { include_deleted: { type: 'boolean' } };
+const asOfQuery = { as_of: { type: 'date' } };
+
+// Get expenses
+// Filters: from, to, paid_by, consumer, category, q, min_amount, max_amount; sorting: sort, order;
+// pagination: page + limit or cursor. Without page/limit/cursor the filtered list is
+// returned as a plain array (with X-Total-Count) like before.
+router.get('/', validate({ query: includeDeletedQuery }), async (req, res) => {
   try {
-    const expenses = await sheetsService.getExpenses();
-    res.json(expenses);
+    const options = parseExpenseQuery(req.query);
+    if (options.errors) {
+      return sendValidationError(res, options.errors, 'query');
+    }
+
+    const expenses = await repository.getExpenses({
+      includeDeleted: req.query.include_deleted === true,
+      groupId: req.group.id
+    });
+    const matched = filterExpenses(expenses, options);
+
+    if (!options.paginate) {
+      res.set('X-Total-Count', String(matched.length));
+      return res.json(matched);
+    }
+    res.json(paginateExpenses(matched, options));
   } catch (error) {
     console.error('Get expenses error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create expense
-router.post('/', async (req, res) => {
+// Create an expense from a request queued before it could be checked: the user, session and
+// group are looked up and the permissions and body checked as when the request was made. A
+// check that fails moves the item to the queue's failed list.
+const replayExpenseRequest = async ({ user_id, session_id, group_id, body, client_id }) => {
+  const { user, error: userError } = await checkTokenUser({ userId: user_id, sid: session_id });
+  if (userError) throw new Error(userError);
+  const { group, error: groupError } = await findGroup(user.id, group_id);
+  if (groupError) throw new Error(groupError);
+
+  const paidBy = parseInt(body.paid_by || user.id);
+  const actions = paidBy === user.id ? ['expenses.create'] : ['expenses.create', 'expenses.pay_for_others'];
+  const refused = actions.find((action) => !can(group, action));
+  if (refused) throw new Error(denial(group, refused).message);
+
+  const input = await newExpenseInput({ user, group }, body);
+  if (input.errors) {
+    throw new Error(input.errors.map((error) => `${error.field}: ${error.message}`).join('; '));
+  }
+  return repository.createExpense({ ...input.expense, client_id });
+};
+
+writeQueue.register('expense_request', replayExpenseRequest);
+
+const queueExpense = async (res, kind, payload) => {
+  try {
+    const item = await writeQueue.enqueue(kind, payload);
+    res.status(202).json({
+      message: 'Storage is temporarily unavailable; the expense was queued and will be saved automatically',
+      queued: { id: item.id, queued_at: item.queued_at, position: item.position }
+    });
+  } catch (error) {
+    console.error('Queue expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create expense (an Idempotency-Key header makes client retries safe).
+// While storage is unavailable the expense is queued and saved later (202 Accepted). A
+// validated payload gets a client_id first, so if storage fails after part of the expense was
+// written, the queued create completes that expense instead of writing a second one. When
+// storage was already down while the caller, their group or the body were being checked
+// (see allowDeferred), the request itself is queued and checked when it is replayed.
+router.post('/', permit('expenses.create'), idempotent, validate({ body: expenseSchema }), async (req, res) => {
+  const request = {
+    user_id: req.user.id,
+    session_id: req.sessionId,
+    group_id: req.group.id,
+    body: req.body,
+    client_id: crypto.randomUUID()
+  };
+  let payload;
+  let expense;
   try {
-    const { product_name, quantity, paid_by, amount, expense_date, note, consumers } = req.body;
-    console.log('Request body:', req.body);
-    if (!product_name || !paid_by || !amount || !expense_date || !consumers || consumers.length === 0) {
-      return res.status(400).json({ message: 'Missing required fields' });
+    if (req.user.unverified || req.group.unverified) {
+      return queueExpense(res, 'expense_request', request);
     }
+    // Default the payer to the authenticated user
+    if (!checkPayer(req, res, req.body.paid_by || req.user.id)) return;
 
-    const expense = await sheetsService.createExpense({
-      product_name,
-      quantity: quantity || 1,
-      paid_by,
-      amount: parseFloat(amount),
-      expense_date,
-      note: note || '',
-      consumers
-    });
+    const input = await newExpenseInput(req, req.body);
+    if (input.errors) {
+      return sendValidationError(res, input.errors);
+    }
+
+    payload = { ...input.expense, client_id: request.client_id };
+    expense = await repository.createExpense(payload);
+    const budget_alert = await repository.checkBudgetAlert(expense);
 
-    res.status(201).json({ message: 'Expense created successfully', expense });
+    res.status(201).json({ message: 'Expense created successfully', expense, budget_alert });
   } catch (error) {
+    if (isUnavailableError(error) && !expense) {
+      return payload ? queueExpense(res, 'expense', payload) : queueExpense(res, 'expense_request', request);
+    }
     console.error('Create expense error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get balance
-router.get('/balance', async (req, res) => {
+// Get balance, or with ?as_of=YYYY-MM-DD the balance at the end of that day (by expense_date
+// and settled_date)
+router.get('/balance', validate({ query: asOfQuery }), async (req, res) => {
   try {
-    const balance = await sheetsService.calculateBalance();
+    const balance = await repository.calculateBalance({ groupId: req.group.id, asOf: req.query.as_of });
     res.json(balance);
   } catch (error) {
     console.error('Get balance error:', error);
@@ -51,4 +139,150 @@ router.get('/balance', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Suggest who should pay whom to settle all balances
+router.get('/settle', async (req, res) => {
+  try {
+    const transfers = await repository.suggestSettlements({ groupId: req.group.id });
+    res.json(transfers);
+  } catch (error) {
+    console.error('Get settle suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one expense
+router.get('/:id', validate({ query: includeDeletedQuery }), async (req, res) => {
+  try {
+    const expense = await repository.getExpenseById(req.params.id, {
+      includeDeleted: req.query.include_deleted === true,
+      groupId: req.group.id
+    });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    res.json(expense);
+  } catch (error) {
+    console.error('Get expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update expense
+router.put('/:id', validate({ body: partial(expenseSchema) }), async (req, res) => {
+  try {
+    const existing = await repository.getExpenseById(req.params.id, { groupId: req.group.id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!checkExpenseAccess(req, res, existing)) return;
+    if (req.body.paid_by !== undefined && req.body.paid_by !== existing.paid_by.id && !checkPayer(req, res, req.body.paid_by)) {
+      return;
+    }
+
+    const { errors, changes } = await expenseChangesInput(req, existing, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const expense = await repository.updateExpense(req.params.id, changes, req.user.id);
+    res.json({ message: 'Expense updated successfully', expense });
+  } catch (error) {
+    console.error('Update expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Soft delete expense
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await repository.getExpenseById(req.params.id, { groupId: req.group.id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!checkExpenseAccess(req, res, existing)) return;
+
+    const expense = await repository.deleteExpense(req.params.id, req.user.id);
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    res.json({ message: 'Expense deleted successfully', expense });
+  } catch (error) {
+    console.error('Delete expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a soft-deleted expense
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const existing = await repository.getExpenseById(req.params.id, { includeDeleted: true, groupId: req.group.id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Deleted expense not found' });
+    }
+    if (!checkExpenseAccess(req, res, existing)) return;
+
+    const expense = await repository.restoreExpense(req.params.id, req.user.id);
+    if (!expense) {
+      return res.status(404).json({ message: 'Deleted expense not found' });
+    }
+    res.json({ message: 'Expense restored successfully', expense });
+  } catch (error) {
+    console.error('Restore expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Attach receipt images or PDFs (multipart/form-data, one or more "files" fields)
+router.post('/:id/attachments', permit('expenses.edit_own'), uploadFiles, async (req, res) => {
+  try {
+    const expense = await repository.getExpenseById(req.params.id, { groupId: req.group.id });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!checkExpenseAccess(req, res, expense)) return;
+
+    const files = req.files || [];
+    const errors = files.map(validateFile).filter(Boolean).map((message) => ({ field: 'files', message }));
+    if (files.length === 0) {
+      errors.push({ field: 'files', message: 'files is required' });
+    } else if (expense.attachments.length + files.length > MAX_FILES) {
+      errors.push({ field: 'files', message: `An expense can have at most ${MAX_FILES} attachments` });
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const stored = [];
+    try {
+      for (const file of files) {
+        stored.push(await storeFile(file));
+      }
+      const attachments = await repository.createAttachments(expense, stored, req.user.id);
+      res.status(201).json({ message: 'Attachments uploaded successfully', attachments });
+    } catch (error) {
+      // Do not leave orphaned files behind
+      await Promise.all(stored.map(removeFiles));
+      throw error;
+    }
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change history of an expense
+router.get('/:id/audit', async (req, res) => {
+  try {
+    const expense = await repository.getExpenseById(req.params.id, { includeDeleted: true, groupId: req.group.id });
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    const auditLog = await repository.getAuditLog('expense', req.params.id);
+    res.json(auditLog);
+  } catch (error) {
+    console.error('Get expense audit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
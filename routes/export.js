@@ -0,0 +1,67 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { parseExpenseQuery, filterExpenses } = require('../services/expenseQuery');
+const { EXPORT_FORMATS, expensesTable, balancesTable, tableToCsv, tableToXlsx } = require('../services/transfer');
+const { sendValidationError } = require('../middleware/validate');
+
+const router = express.Router();
+
+const sendTable = async (res, table, format) => {
+  const filename = `${table.name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'xlsx') {
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(Buffer.from(await tableToXlsx(table)));
+  }
+  res.type('text/csv; charset=utf-8');
+  res.send(tableToCsv(table));
+};
+
+const parseFormat = (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    sendValidationError(res, [{ field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }], 'query');
+    return null;
+  }
+  return format;
+};
+
+// Export expenses (?format=csv|xlsx, accepts the same filters as GET /api/expenses)
+router.get('/expenses', async (req, res) => {
+  try {
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    const options = parseExpenseQuery(req.query);
+    if (options.errors) {
+      return sendValidationError(res, options.errors, 'query');
+    }
+
+    const [expenses, users] = await Promise.all([
+      repository.getExpenses({ groupId: req.group.id }),
+      repository.getUsers({ groupId: req.group.id })
+    ]);
+    const matched = filterExpenses(expenses, { ...options, order: req.query.order || 'asc' });
+    await sendTable(res, expensesTable(matched, users), format);
+  } catch (error) {
+    console.error('Export expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export balances (?format=csv|xlsx)
+router.get('/balances', async (req, res) => {
+  try {
+    const format = parseFormat(req, res);
+    if (!format) return;
+
+    const balances = await repository.calculateBalance({ groupId: req.group.id });
+    await sendTable(res, balancesTable(balances), format);
+  } catch (error) {
+    console.error('Export balances error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
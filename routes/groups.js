@@ -0,0 +1,127 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { validate, validateIdParam } = require('../middleware/validate');
+const { can } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+const inviteUrl = (code) => (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/join?code=${code}` : null);
+
+// Anyone with the invite code can join, so only members who manage members (admins and the
+// owner) see it
+const withInvite = (group) => {
+  if (can(group, 'users.manage')) return { ...group, invite_url: inviteUrl(group.invite_code) };
+  const { invite_code: inviteCode, ...rest } = group;
+  return rest;
+};
+
+// Find the caller's membership of a group, or send 404 (non-members cannot see the group)
+const findMembership = async (req, res) => {
+  const groups = await repository.getUserGroups(req.user.id);
+  const group = groups.find((g) => g.id === parseInt(req.params.id));
+  if (!group) {
+    res.status(404).json({ message: 'Group not found' });
+    return null;
+  }
+  return group;
+};
+
+// Get the caller's groups
+router.get('/', async (req, res) => {
+  try {
+    const groups = await repository.getUserGroups(req.user.id);
+    res.json(groups.map(withInvite));
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a group; the caller becomes its owner
+router.post('/', validate({ body: { name: { type: 'string', required: true, maxLength: 100 } } }), async (req, res) => {
+  try {
+    const group = await repository.createGroup({ name: req.body.name, created_by: req.user.id });
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: withInvite({ ...group, role: 'owner' })
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join a group with an invite code
+router.post('/join', validate({ body: { invite_code: { type: 'string', required: true, maxLength: 100 } } }), async (req, res) => {
+  try {
+    const group = await repository.getGroupByInviteCode(req.body.invite_code);
+    if (!group) {
+      return res.status(404).json({ message: 'Invalid invite code' });
+    }
+
+    // Members who left before get their earlier role back, and stay deactivated if they were
+    const membership = await repository.joinGroup(group.id, req.user.id);
+    if (!membership) {
+      return res.status(409).json({ message: 'You are already a member of this group' });
+    }
+    res.json({ message: 'Joined group successfully', group: withInvite({ ...group, ...membership }) });
+  } catch (error) {
+    console.error('Join group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a group with its members
+router.get('/:id', async (req, res) => {
+  try {
+    const group = await findMembership(req, res);
+    if (!group) return;
+
+    const members = await repository.getGroupMembers(group.id);
+    res.json({ ...withInvite(group), members });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue a new invite code (owner only); the old code stops working
+router.post('/:id/invite', async (req, res) => {
+  try {
+    const group = await findMembership(req, res);
+    if (!group) return;
+    if (group.role !== 'owner') {
+      return res.status(403).json({ error: 'Forbidden', message: 'Only the group owner can reset the invite code' });
+    }
+
+    const updated = await repository.regenerateInviteCode(group.id);
+    res.json({ invite_code: updated.invite_code, invite_url: inviteUrl(updated.invite_code) });
+  } catch (error) {
+    console.error('Reset invite code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave a group. Past expenses and balances involving the caller are kept, and so is their
+// role for when they rejoin.
+router.post('/:id/leave', async (req, res) => {
+  try {
+    const group = await findMembership(req, res);
+    if (!group) return;
+
+    const members = await repository.getGroupMembers(group.id);
+    if (group.role === 'owner' && members.length > 1) {
+      return res.status(409).json({ message: 'The owner cannot leave while other members remain' });
+    }
+
+    await repository.removeGroupMember(group.id, req.user.id);
+    res.json({ message: 'Left group successfully' });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
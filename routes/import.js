@@ -0,0 +1,99 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { validateImportOptions, parseExpenseImport, markDuplicates } = require('../services/transfer');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { permit } = require('../middleware/permissions');
+const { isUnavailableError } = require('../services/resilience');
+
+const router = express.Router();
+
+// Import expenses from CSV.
+// Body: { csv, mapping, delimiter, date_format, decimal_separator, default_paid_by,
+//         default_consumers, dry_run = true, skip_invalid = false, allow_duplicates = false }
+// A dry run only returns the validation report. Committing refuses to import anything
+// while some rows are invalid, unless skip_invalid is set. Rows matching an existing expense
+// (same date, amount, product name and payer) or an earlier row of the file are reported as
+// duplicates and skipped, so importing the same statement twice does not double it, unless
+// allow_duplicates is set.
+// Every row is created with a client_id derived from the file and its row number. If storage
+// fails part-way, the response lists the rows that were imported; posting the same file again
+// finishes the import without duplicating those rows.
+const importSchema = {
+  csv: { type: 'string', required: true },
+  mapping: { type: 'object' },
+  delimiter: { type: 'string', minLength: 1, maxLength: 1 },
+  default_paid_by: { type: 'string' },
+  default_consumers: { type: 'array' },
+  dry_run: { type: 'boolean' },
+  skip_invalid: { type: 'boolean' },
+  allow_duplicates: { type: 'boolean' }
+};
+
+router.post('/expenses', permit('expenses.import'), validate({ body: importSchema }), async (req, res) => {
+  try {
+    const optionErrors = validateImportOptions(req.body);
+    if (optionErrors.length > 0) {
+      return sendValidationError(res, optionErrors);
+    }
+
+    const dryRun = req.body.dry_run !== false;
+    const [users, categories, expenses] = await Promise.all([
+      repository.getUsers({ groupId: req.group.id }),
+      repository.getCategories({ groupId: req.group.id }),
+      repository.getExpenses({ groupId: req.group.id })
+    ]);
+    const { rows, errors } = parseExpenseImport(req.body, { users, categories });
+    const validRows = markDuplicates(rows, expenses).filter((row) => row.valid);
+    const isDuplicate = (row) => row.duplicate_of !== undefined || row.duplicate_of_row !== undefined;
+    const duplicates = validRows.filter(isDuplicate);
+    const importRows = req.body.allow_duplicates ? validRows : validRows.filter((row) => !isDuplicate(row));
+
+    const report = {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      valid_rows: validRows.length,
+      invalid_rows: rows.length - validRows.length,
+      duplicate_rows: duplicates.length,
+      errors,
+      duplicates: duplicates.map((row) =>
+        row.duplicate_of !== undefined
+          ? { row: row.row, expense_id: row.duplicate_of }
+          : { row: row.row, duplicate_of_row: row.duplicate_of_row }
+      )
+    };
+
+    if (dryRun) {
+      return res.json({ ...report, preview: importRows.map((row) => ({ row: row.row, ...row.expense })) });
+    }
+    if (errors.length > 0 && !req.body.skip_invalid) {
+      return res.status(422).json({ message: 'Import has invalid rows, nothing was imported', ...report });
+    }
+
+    const imported = [];
+    for (const row of importRows) {
+      try {
+        const expense = await repository.createExpense({
+          ...row.expense,
+          group_id: req.group.id,
+          created_by: req.user.id
+        });
+        imported.push({ row: row.row, id: expense.id });
+      } catch (error) {
+        console.error(`Import expenses error at row ${row.row}:`, error);
+        return res.status(isUnavailableError(error) ? 503 : 500).json({
+          message: `Import stopped at row ${row.row}; post the same file again to finish it`,
+          ...report,
+          imported,
+          failed_row: row.row
+        });
+      }
+    }
+
+    res.status(201).json({ message: `Imported ${imported.length} expense(s)`, ...report, imported });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const repository = require('../services/repository');
+const liveUpdates = require('../services/liveUpdates');
+
+const router = express.Router();
+
+const HEARTBEAT_SECONDS = parseInt(process.env.LIVE_HEARTBEAT_SECONDS) || 25;
+
+const formatMessage = ({ id, event, data }) =>
+  `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// The stream ends once the caller's session is revoked or they leave the group
+const stillAllowed = async (req) => {
+  const [session, groups] = await Promise.all([
+    repository.getSessionById(req.sessionId),
+    repository.getUserGroups(req.user.id)
+  ]);
+  if (!session || session.revoked_at) return false;
+  return groups.some((g) => g.id === req.group.id);
+};
+
+// Server-Sent Events stream of the group's changes and balances (see services/liveUpdates).
+// Browsers: new EventSource('/api/live?access_token=...&group_id=...'); reconnects send
+// Last-Event-ID automatically, other clients may pass ?last_event_id= instead.
+router.get('/', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: 5000\n\n`);
+
+  const send = (message) => res.write(formatMessage(message));
+  let disconnect = null;
+  let closed = false;
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await stillAllowed(req))) return res.end();
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      // Storage trouble is not a reason to drop the client; try again next beat
+      console.error('Live stream heartbeat error:', error.message);
+    }
+  }, HEARTBEAT_SECONDS * 1000);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (disconnect) disconnect();
+  });
+
+  try {
+    const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+    disconnect = await liveUpdates.connect(req.group.id, lastEventId, send);
+    if (closed) disconnect();
+  } catch (error) {
+    console.error('Live stream error:', error);
+    res.end();
+  }
+});
+
+module.exports = router;
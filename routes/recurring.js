@@ -0,0 +1,201 @@
+const express = require('express');
+const repository = require('../services/repository');
+const scheduler = require('../services/scheduler');
+const { SPLIT_TYPES, normalizeConsumers, validateSplit } = require('../services/splits');
+const { partial } = require('../services/validation');
+const { memberErrors } = require('../middleware/group');
+const { permit } = require('../middleware/permissions');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
+const { FREQUENCIES, today, addDays, validateRule, nextOccurrence } = require('../services/recurrence');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+const TEMPLATE_FIELDS = [
+  'product_name',
+  'quantity',
+  'paid_by',
+  'amount',
+  'note',
+  'category_id',
+  'split_type',
+  'consumers',
+  'frequency',
+  'day_of_month',
+  'day_of_week',
+  'interval_days',
+  'start_date',
+  'end_date',
+  'active'
+];
+
+const templateSchema = {
+  product_name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  quantity: { type: 'integer', min: 1 },
+  paid_by: { type: 'id' },
+  amount: { type: 'number', required: true, positive: true },
+  note: { type: 'string', maxLength: 1000 },
+  category_id: { type: 'id', nullable: true },
+  split_type: { type: 'enum', values: SPLIT_TYPES },
+  consumers: { type: 'array', required: true, minItems: 1 },
+  frequency: { type: 'enum', values: FREQUENCIES, required: true },
+  day_of_month: { type: 'integer', min: 1, max: 31 },
+  day_of_week: { type: 'integer', min: 0, max: 6 },
+  interval_days: { type: 'integer', min: 1 },
+  start_date: { type: 'date' },
+  end_date: { type: 'date', nullable: true },
+  active: { type: 'boolean' }
+};
+
+// Cross-field checks on a full template (after merging updates) within a group; returns field errors.
+// When editing, only users the edit adds to the existing template are checked for membership.
+const templateErrors = async (template, groupId, existing = null) => {
+  const errors = validateRule(template);
+
+  const splitConsumers = normalizeConsumers(template.consumers, template.split_type);
+  const splitError = validateSplit(template.amount, template.split_type, splitConsumers);
+  if (splitError) errors.push({ field: 'consumers', message: splitError });
+
+  if (template.category_id && !(await repository.getCategoryById(template.category_id, { groupId }))) {
+    errors.push({ field: 'category_id', message: 'Category not found' });
+  }
+  const consumerIds = splitConsumers.map((c) => c.user_id).filter((id) => !Number.isNaN(id));
+  const existingIds = existing
+    ? [existing.paid_by, ...normalizeConsumers(existing.consumers, existing.split_type).map((c) => c.user_id)]
+    : [];
+  errors.push(...(await memberErrors(groupId, { paid_by: [template.paid_by], consumers: consumerIds }, { existing: existingIds })));
+  return errors;
+};
+
+// nextOccurrence looks strictly after a date, so a new template starts from the day before start_date
+const withNextOccurrence = (template) => ({
+  ...template,
+  next_occurrence: template.active
+    ? nextOccurrence(template, template.last_generated_date || addDays(template.start_date, -1))
+    : null
+});
+
+// Get all recurring expense templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await repository.getRecurringExpenses({ groupId: req.group.id });
+    res.json(templates.map(withNextOccurrence));
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate the group's due occurrences now instead of waiting for the scheduler
+router.post('/run', permit('recurring.manage'), async (req, res) => {
+  try {
+    const created = await scheduler.run({ groupId: req.group.id });
+    res.json({ message: `Generated ${created.length} expense(s)`, expenses: created });
+  } catch (error) {
+    console.error('Run recurring expenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await repository.getRecurringExpenseById(req.params.id, { groupId: req.group.id });
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+    res.json(withNextOccurrence(template));
+  } catch (error) {
+    console.error('Get recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create template
+router.post('/', permit('recurring.manage'), validate({ body: templateSchema }), async (req, res) => {
+  try {
+    const start_date = req.body.start_date || today();
+    const startDay = new Date(`${start_date}T00:00:00Z`);
+    const template = {
+      quantity: 1,
+      note: '',
+      split_type: 'equal',
+      category_id: null,
+      end_date: null,
+      day_of_month: startDay.getUTCDate(),
+      day_of_week: startDay.getUTCDay(),
+      ...req.body,
+      paid_by: req.body.paid_by || req.user.id,
+      start_date
+    };
+
+    const errors = await templateErrors(template, req.group.id);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const fields = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (template[field] !== undefined) fields[field] = template[field];
+    });
+    fields.consumers = normalizeConsumers(template.consumers, template.split_type);
+
+    const created = await repository.createRecurringExpense({
+      ...fields,
+      group_id: req.group.id,
+      created_by: req.user.id
+    });
+    res.status(201).json({ message: 'Recurring expense created successfully', recurring: withNextOccurrence(created) });
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update template (changes apply to occurrences generated from now on)
+router.put('/:id', permit('recurring.manage'), validate({ body: partial(templateSchema) }), async (req, res) => {
+  try {
+    const existing = await repository.getRecurringExpenseById(req.params.id, { groupId: req.group.id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    const changes = {};
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const merged = { ...existing, ...changes };
+    const errors = await templateErrors(merged, req.group.id, existing);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    if (changes.consumers !== undefined || changes.split_type !== undefined) {
+      changes.consumers = normalizeConsumers(merged.consumers, merged.split_type);
+    }
+
+    const updated = await repository.updateRecurringExpense(req.params.id, changes);
+    res.json({ message: 'Recurring expense updated successfully', recurring: withNextOccurrence(updated) });
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete template (expenses already generated are kept)
+router.delete('/:id', permit('recurring.manage'), async (req, res) => {
+  try {
+    if (!(await repository.getRecurringExpenseById(req.params.id, { groupId: req.group.id }))) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    await repository.deleteRecurringExpense(req.params.id);
+    res.json({ message: 'Recurring expense deleted successfully' });
+  } catch (error) {
+    console.error('Delete recurring expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
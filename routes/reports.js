@@ -0,0 +1,24 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { parseReportQuery, buildReport } = require('../services/reports');
+const { sendValidationError } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Spending report: ?from=YYYY-MM-DD&to=YYYY-MM-DD&bucket=day|week|month|year&top=10
+router.get('/', async (req, res) => {
+  try {
+    const options = parseReportQuery(req.query);
+    if (options.errors) {
+      return sendValidationError(res, options.errors, 'query');
+    }
+
+    const expenses = await repository.getExpenses({ groupId: req.group.id });
+    res.json(buildReport(expenses, options));
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { memberErrors } = require('../middleware/group');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { permit } = require('../middleware/permissions');
+
+const router = express.Router();
+
+const settlementSchema = {
+  from_user: { type: 'id' },
+  to_user: { type: 'id', required: true },
+  amount: { type: 'number', required: true, positive: true },
+  settled_date: { type: 'date' },
+  note: { type: 'string', maxLength: 1000 }
+};
+
+// Get all settlement payments
+router.get('/', async (req, res) => {
+  try {
+    const settlements = await repository.getSettlements({ groupId: req.group.id });
+    res.json(settlements);
+  } catch (error) {
+    console.error('Get settlements error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a settlement payment (from_user paid to_user back)
+router.post('/', permit('settlements.manage'), validate({ body: settlementSchema }), async (req, res) => {
+  try {
+    const { to_user, amount, settled_date, note } = req.body;
+    // Default the sender to the authenticated user
+    const from_user = req.body.from_user || req.user.id;
+
+    if (from_user === to_user) {
+      return sendValidationError(res, [{ field: 'to_user', message: 'from_user and to_user must be different' }]);
+    }
+    // Settling up with someone who has been deactivated (moved out) is still allowed
+    const errors = await memberErrors(req.group.id, { from_user: [from_user], to_user: [to_user] }, { allowInactive: true });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const settlement = await repository.createSettlement({
+      from_user,
+      to_user,
+      amount,
+      settled_date: settled_date || new Date().toISOString().slice(0, 10),
+      note: note || '',
+      created_by: req.user.id,
+      group_id: req.group.id
+    });
+
+    res.status(201).json({ message: 'Settlement recorded successfully', settlement });
+  } catch (error) {
+    console.error('Create settlement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const express = require('express');
+const repository = require('../services/repository');
+const { SPLIT_TYPES } = require('../services/splits');
+const { today } = require('../services/recurrence');
+const { validate: validateInput, partial } = require('../services/validation');
+const { memberErrors } = require('../middleware/group');
+const { expenseSchema, newExpenseInput } = require('../middleware/expenseInput');
+const { permit } = require('../middleware/permissions');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+// Shared shopping list of the group. Items are open until someone checks them off in the
+// shop; checked items are then purchased, which records one expense for them (see
+// POST /purchase) and keeps the items on the list with the expense's id.
+const STATUSES = ['open', 'checked', 'purchased'];
+
+const itemSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  quantity: { type: 'integer', min: 1 },
+  note: { type: 'string', maxLength: 1000 },
+  consumers: { type: 'array', minItems: 1, of: { type: 'id' } }
+};
+
+const purchaseSchema = {
+  item_ids: { type: 'array', minItems: 1, of: { type: 'id' } },
+  amount: { type: 'number', required: true, positive: true },
+  expense_date: { type: 'date' },
+  product_name: { type: 'string', minLength: 1, maxLength: 200 },
+  note: { type: 'string', maxLength: 1000 },
+  category_id: { type: 'id', nullable: true },
+  split_type: { type: 'enum', values: SPLIT_TYPES },
+  consumers: { type: 'array', minItems: 1 }
+};
+
+// "A, B, … (+3 more)": as many of the names as fit in an expense's product_name
+const listNames = (names, maxLength = expenseSchema.product_name.maxLength) => {
+  const all = names.join(', ');
+  if (all.length <= maxLength) return all;
+  for (let count = names.length - 1; count > 0; count--) {
+    const text = `${names.slice(0, count).join(', ')}, … (+${names.length - count} more)`;
+    if (text.length <= maxLength) return text;
+  }
+  return `${all.slice(0, maxLength - 1)}…`;
+};
+
+const findItem = async (req, res) => {
+  const item = await repository.getShoppingItemById(req.params.id, { groupId: req.group.id });
+  if (!item) {
+    res.status(404).json({ message: 'Shopping item not found' });
+  }
+  return item;
+};
+
+const notPurchased = (res, item) => {
+  if (item.status !== 'purchased') return true;
+  res.status(409).json({ message: 'Item has already been purchased' });
+  return false;
+};
+
+// Get the list; ?status=open|checked|purchased, open and checked items by default
+router.get('/', validate({ query: { status: { type: 'enum', values: STATUSES } } }), async (req, res) => {
+  try {
+    const items = await repository.getShoppingItems({ groupId: req.group.id });
+    res.json(items.filter((item) => (req.query.status ? item.status === req.query.status : item.status !== 'purchased')));
+  } catch (error) {
+    console.error('Get shopping items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add an item. consumers are the ids of whoever the item is for; everyone active in the group
+// by default.
+router.post('/', permit('shopping.manage'), validate({ body: itemSchema }), async (req, res) => {
+  try {
+    let consumers = req.body.consumers;
+    if (consumers) {
+      const errors = await memberErrors(req.group.id, { consumers });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+    } else {
+      const members = await repository.getUsers({ groupId: req.group.id });
+      consumers = members.filter((m) => m.active).map((m) => m.id);
+    }
+
+    const item = await repository.createShoppingItem({
+      group_id: req.group.id,
+      name: req.body.name,
+      quantity: req.body.quantity,
+      note: req.body.note,
+      requested_by: req.user.id,
+      consumers: [...new Set(consumers.map((id) => parseInt(id)))]
+    });
+    res.status(201).json({ message: 'Shopping item added successfully', item });
+  } catch (error) {
+    console.error('Create shopping item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update an item that has not been purchased yet
+router.put('/:id', permit('shopping.manage'), validate({ body: partial(itemSchema) }), async (req, res) => {
+  try {
+    const existing = await findItem(req, res);
+    if (!existing || !notPurchased(res, existing)) return;
+
+    const changes = {};
+    ['name', 'quantity', 'note', 'consumers'].forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (changes.consumers) {
+      const existingIds = existing.consumers.map((c) => c.id);
+      const errors = await memberErrors(req.group.id, { consumers: changes.consumers }, { existing: existingIds });
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+      changes.consumers = [...new Set(changes.consumers.map((id) => parseInt(id)))];
+    }
+
+    const item = await repository.updateShoppingItem(existing.id, changes);
+    res.json({ message: 'Shopping item updated successfully', item });
+  } catch (error) {
+    console.error('Update shopping item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove an item that has not been purchased yet
+router.delete('/:id', permit('shopping.manage'), async (req, res) => {
+  try {
+    const existing = await findItem(req, res);
+    if (!existing || !notPurchased(res, existing)) return;
+
+    await repository.deleteShoppingItem(existing.id);
+    res.json({ message: 'Shopping item deleted successfully' });
+  } catch (error) {
+    console.error('Delete shopping item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check an item off (in the basket) or back on
+const setChecked = (checked) => async (req, res) => {
+  try {
+    const existing = await findItem(req, res);
+    if (!existing || !notPurchased(res, existing)) return;
+
+    // Checked again under the list's lock: it may have been purchased in the meantime
+    const item = await repository.setShoppingItemChecked(existing.id, checked, req.user.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Shopping item not found' });
+    }
+    if (!notPurchased(res, item)) return;
+    res.json({ message: checked ? 'Item checked off' : 'Item unchecked', item });
+  } catch (error) {
+    console.error('Check shopping item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/:id/check', permit('shopping.manage'), setChecked(true));
+router.post('/:id/uncheck', permit('shopping.manage'), setChecked(false));
+
+// Record checked-off items as one expense paid by the caller. Body: amount (what was paid),
+// item_ids (every checked item by default), and optionally expense_date (today), product_name
+// (the items' names), note, category_id, and split_type + consumers to split differently from
+// the default: an equal split between everyone the items are for.
+// With an Idempotency-Key header the expense is keyed by the request, so retrying a purchase
+// that failed half-way with the same key completes it, including items it already marked
+// purchased, and repeating one that succeeded returns the same expense; a retry with another
+// amount or other items is refused.
+router.post('/purchase', permit('shopping.manage'), permit('expenses.create'), validate({ body: purchaseSchema }), async (req, res) => {
+  try {
+    const key = req.get('Idempotency-Key');
+    const clientId = key
+      ? `shopping-${crypto.createHash('sha256').update(`${req.user.id}:${key}`).digest('hex').slice(0, 32)}`
+      : undefined;
+    const earlier = clientId ? await repository.getExpenseByClientId(clientId, { groupId: req.group.id }) : null;
+
+    const list = await repository.getShoppingItems({ groupId: req.group.id });
+    const resumed = list.filter((item) => earlier && item.expense_id === earlier.id).map((item) => item.id);
+    const checked = list.filter((item) => item.status === 'checked').map((item) => item.id);
+    const itemIds = req.body.item_ids ? [...new Set(req.body.item_ids.map((id) => parseInt(id)))] : [...resumed, ...checked];
+
+    const errors = [];
+    const items = [];
+    itemIds.forEach((id) => {
+      const item = list.find((i) => i.id === id);
+      if (!item) errors.push({ field: 'item_ids', message: `Shopping item ${id} not found` });
+      else if (item.status !== 'checked' && !resumed.includes(id)) errors.push({ field: 'item_ids', message: `Shopping item ${id} is ${item.status}, not checked off` });
+      else items.push(item);
+    });
+    if (itemIds.length === 0) errors.push({ field: 'item_ids', message: 'No items are checked off' });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const describe = (item) => (item.quantity > 1 ? `${item.name} x${item.quantity}` : item.name);
+    const body = {
+      product_name: req.body.product_name || (items.length === 1 ? items[0].name : listNames(items.map(describe))),
+      quantity: items.length === 1 ? items[0].quantity : 1,
+      amount: req.body.amount,
+      expense_date: req.body.expense_date || today(),
+      note: req.body.note,
+      paid_by: req.user.id,
+      category_id: req.body.category_id,
+      split_type: req.body.split_type,
+      consumers: req.body.consumers || [...new Set(items.flatMap((item) => item.consumers.map((c) => c.id)))]
+    };
+    const { values, errors: bodyErrors } = validateInput(body, expenseSchema);
+    if (bodyErrors.length > 0) {
+      return sendValidationError(res, bodyErrors);
+    }
+    const input = await newExpenseInput(req, values);
+    if (input.errors) {
+      return sendValidationError(res, input.errors);
+    }
+    const { amount, product_name: productName } = input.expense;
+    const differs = earlier && (earlier.amount !== amount || earlier.product_name !== productName || resumed.some((id) => !itemIds.includes(id)));
+    if (differs) {
+      return res.status(422).json({ message: 'Idempotency-Key was already used for a purchase of other items or another amount' });
+    }
+
+    const result = await repository.purchaseShoppingItems(items.map((item) => item.id), { ...input.expense, client_id: clientId });
+    if (!result) {
+      return res.status(409).json({ message: 'Some items were purchased or unchecked in the meantime, nothing was recorded' });
+    }
+    const budget_alert = await repository.checkBudgetAlert(input.expense);
+
+    res.status(201).json({ message: 'Items purchased successfully', ...result, budget_alert });
+  } catch (error) {
+    console.error('Purchase shopping items error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
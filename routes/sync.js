@@ -0,0 +1,222 @@
+const express = require('express');
+const repository = require('../services/repository');
+const { validate: validateInput, partial } = require('../services/validation');
+const { expenseSchema, newExpenseInput, expenseChangesInput } = require('../middleware/expenseInput');
+const { can, denial, expenseAction } = require('../middleware/permissions');
+const { validate, sendValidationError } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Delta sync of the group's expenses for offline-first clients.
+//
+// Pull: GET /api/sync?since=<cursor> returns { created, updated, deleted, cursor }: the
+// expenses created, changed or deleted since the pull that returned the cursor (everything
+// when since is left out). Clients keep the new cursor for the next pull and upsert created
+// and updated expenses by id. Change times are stored to the second, and cursors overlap the
+// previous pull by a few seconds so writes that were in flight during it are not missed. The
+// same expense can therefore come back in several pulls, even at a version the client already
+// has: clients de-duplicate by id and keep the copy with the highest version, applying
+// deleted entries only when their version is at least the one the client has.
+//
+// Push: POST /api/sync with { changes: [...] } applies up to MAX_CHANGES changes in order:
+//   { op: 'create', client_id, expense }                      client_id: a UUID made by the
+//                                                             client; pushing it again returns
+//                                                             the expense created the first time
+//   { op: 'update', id or client_id, base_version, expense }  expense: the changed fields
+//   { op: 'delete', id or client_id, base_version }
+// Conflicts: an update or delete is applied only while the expense is still at base_version,
+// the version the client last saw. Otherwise the server copy wins: nothing changes and the
+// result carries the current expense, so the client can re-apply its edit on top of it and
+// push again, or drop it. Updating a deleted expense is a conflict as well; deleting an
+// expense that is already deleted succeeds. The version check and the write happen together
+// (see repository.updateExpense), so of two pushes from the same base_version only one applies.
+// Each change gets a result, in the same order: { index, op, id, client_id, status, ... } with
+// status 'applied' (with the expense), 'conflict' (with the server's expense), 'not_found',
+// 'rejected' (validation or permission errors, in the usual error envelope) or 'error' (the
+// server failed; push it again later).
+const MAX_CHANGES = 100;
+const CURSOR_OVERLAP_SECONDS = 5;
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+const pullQuery = { since: { type: 'string', maxLength: 100 } };
+
+const pushSchema = {
+  changes: { type: 'array', required: true, minItems: 1, maxItems: MAX_CHANGES }
+};
+
+const changeSchema = {
+  op: { type: 'enum', required: true, values: OPERATIONS },
+  id: { type: 'id' },
+  client_id: { type: 'uuid' },
+  base_version: { type: 'integer', min: 1 },
+  expense: { type: 'object' }
+};
+
+// Cursors are opaque to clients; they wrap the storage timestamp ("YYYY-MM-DD HH:MM:SS", UTC)
+// from which the next pull starts
+const encodeCursor = (readAt) => {
+  const start = new Date(Date.parse(`${readAt.replace(' ', 'T')}Z`) - CURSOR_OVERLAP_SECONDS * 1000);
+  return Buffer.from(start.toISOString().slice(0, 19).replace('T', ' ')).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  const timestamp = Buffer.from(cursor, 'base64url').toString();
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(timestamp) ? timestamp : null;
+};
+
+// Pull the changes since a cursor
+router.get('/', validate({ query: pullQuery }), async (req, res) => {
+  try {
+    const since = req.query.since ? decodeCursor(req.query.since) : null;
+    if (req.query.since && !since) {
+      return sendValidationError(res, [{ field: 'since', message: 'since must be a cursor returned by this endpoint' }], 'query');
+    }
+
+    const { created, updated, deleted, read_at } = await repository.getExpenseChanges({ groupId: req.group.id, since });
+    res.json({ created, updated, deleted, cursor: encodeCursor(read_at) });
+  } catch (error) {
+    console.error('Sync pull error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const rejected = (errors) => ({ status: 'rejected', error: 'Bad Request', message: errors[0].message, errors });
+
+const forbiddenFor = (req, action) => ({ status: 'rejected', ...denial(req.group, action) });
+
+// Members may only record expenses paid by themselves (see middleware/permissions)
+const payerAllowed = (req, paidBy) => parseInt(paidBy) === req.user.id || can(req.group, 'expenses.pay_for_others');
+
+const findTarget = (req, change) =>
+  change.id
+    ? repository.getExpenseById(change.id, { includeDeleted: true, groupId: req.group.id })
+    : repository.getExpenseByClientId(change.client_id, { groupId: req.group.id });
+
+const applyCreate = async (req, change) => {
+  // A create pushed again is answered with the expense it made, unless the first attempt
+  // failed half-way: then it runs again to add what is missing (see repository.createExpense)
+  const existing = await repository.getExpenseByClientId(change.client_id, { groupId: req.group.id });
+  if (existing && existing.consumers.length > 0) return { status: 'applied', expense: existing };
+
+  if (!can(req.group, 'expenses.create')) return forbiddenFor(req, 'expenses.create');
+  const { values, errors } = validateInput(change.expense, expenseSchema);
+  if (errors.length > 0) return rejected(errors);
+  if (!payerAllowed(req, values.paid_by || req.user.id)) return forbiddenFor(req, 'expenses.pay_for_others');
+
+  const input = await newExpenseInput(req, values);
+  if (input.errors) return rejected(input.errors);
+
+  const created = await repository.createExpense({ ...input.expense, client_id: change.client_id });
+  return { status: 'applied', expense: await repository.getExpenseById(created.id) };
+};
+
+// Result for an update or delete of an expense that is not at base_version (any more)
+const versionResult = (change, existing) => {
+  if (existing.deleted_at && change.op === 'delete') {
+    return { status: 'applied', expense: existing };
+  }
+  return {
+    status: 'conflict',
+    message: existing.deleted_at
+      ? 'The expense has been deleted'
+      : `The expense has changed since version ${change.base_version}`,
+    expense: existing
+  };
+};
+
+// Another change got in between reading the expense and writing it
+const changedMeanwhile = async (req, change) => {
+  const current = await findTarget(req, change);
+  return current ? versionResult(change, current) : { status: 'not_found', message: 'Expense not found' };
+};
+
+const applyUpdate = async (req, change, existing) => {
+  const action = expenseAction(req, existing);
+  if (!can(req.group, action)) return forbiddenFor(req, action);
+  const { values, errors } = validateInput(change.expense, partial(expenseSchema));
+  if (errors.length > 0) return rejected(errors);
+  if (values.paid_by !== undefined && values.paid_by !== existing.paid_by.id && !payerAllowed(req, values.paid_by)) {
+    return forbiddenFor(req, 'expenses.pay_for_others');
+  }
+
+  const input = await expenseChangesInput(req, existing, values);
+  if (input.errors) return rejected(input.errors);
+
+  const expense = await repository.updateExpense(existing.id, input.changes, req.user.id, { expectedVersion: change.base_version });
+  return expense ? { status: 'applied', expense } : changedMeanwhile(req, change);
+};
+
+const applyDelete = async (req, change, existing) => {
+  const action = expenseAction(req, existing);
+  if (!can(req.group, action)) return forbiddenFor(req, action);
+
+  const expense = await repository.deleteExpense(existing.id, req.user.id, { expectedVersion: change.base_version });
+  return expense ? { status: 'applied', expense } : changedMeanwhile(req, change);
+};
+
+const applyChange = async (req, change) => {
+  if (change.op === 'create') {
+    if (!change.client_id || !change.expense) {
+      return rejected([{ field: 'client_id', message: 'create needs a client_id and an expense' }]);
+    }
+    return applyCreate(req, change);
+  }
+
+  if (!change.id && !change.client_id) {
+    return rejected([{ field: 'id', message: `${change.op} needs the id or client_id of the expense` }]);
+  }
+  if (!change.base_version) {
+    return rejected([{ field: 'base_version', message: 'base_version is required' }]);
+  }
+  if (change.op === 'update' && !change.expense) {
+    return rejected([{ field: 'expense', message: 'expense is required' }]);
+  }
+
+  const existing = await findTarget(req, change);
+  if (!existing) return { status: 'not_found', message: 'Expense not found' };
+
+  if (existing.deleted_at || existing.version !== change.base_version) {
+    return versionResult(change, existing);
+  }
+
+  return change.op === 'update' ? applyUpdate(req, change, existing) : applyDelete(req, change, existing);
+};
+
+// Push a batch of offline changes
+router.post('/', validate({ body: pushSchema }), async (req, res) => {
+  try {
+    const results = [];
+    for (const [index, rawChange] of req.body.changes.entries()) {
+      const { values: change, errors } = validateInput(rawChange, changeSchema);
+      const reference = { index, op: change.op || null, id: change.id || null, client_id: change.client_id || null };
+
+      if (errors.length > 0) {
+        results.push({ ...reference, ...rejected(errors) });
+        continue;
+      }
+      try {
+        const result = await applyChange(req, change);
+        if (result.expense) {
+          reference.id = result.expense.id;
+          reference.client_id = result.expense.client_id;
+        }
+        results.push({ ...reference, ...result });
+      } catch (error) {
+        console.error('Sync change error:', error);
+        results.push({ ...reference, status: 'error', message: 'Server error' });
+      }
+    }
+
+    const summary = {};
+    results.forEach((result) => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+    res.json({ results, summary });
+  } catch (error) {
+    console.error('Sync push error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,166 @@
 const express = require('express');
-const sheetsService = require('../services/sheets');
+const repository = require('../services/repository');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
+const { ROLES, can, permit, forbidAction } = require('../middleware/permissions');
 
 const router = express.Router();
 
-// Get all users
-router.get('/', async (req, res) => {
+router.param('id', validateIdParam);
+
+const profileSchema = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  email: { type: 'email' },
+  avatar_url: { type: 'url', nullable: true, maxLength: 2000 },
+  color: { type: 'string', nullable: true, maxLength: 30 }
+};
+
+const roleSchema = {
+  role: { type: 'enum', required: true, values: ROLES.filter((role) => role !== 'owner') }
+};
+
+const forbidden = (res, message) => res.status(403).json({ error: 'Forbidden', message });
+
+// Get members of the selected group. Deactivated members are left out (they cannot be picked
+// for new expenses) unless ?include_inactive=true.
+router.get('/', validate({ query: { include_inactive: { type: 'boolean' } } }), async (req, res) => {
   try {
-    const users = await sheetsService.getUsers();
-    res.json(users);
+    const users = await repository.getUsers({ groupId: req.group.id });
+    res.json(req.query.include_inactive === true ? users : users.filter((u) => u.active));
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Own profile
+router.get('/me', async (req, res) => {
+  res.json(req.user);
+});
+
+// Update own name, email, avatar_url or color (null clears avatar_url and color)
+router.put('/me', validate({ body: profileSchema }), async (req, res) => {
+  try {
+    const changes = {};
+    ['name', 'email', 'avatar_url', 'color'].forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field] === null ? '' : req.body[field];
+    });
+    if (Object.keys(changes).length === 0) {
+      return sendValidationError(res, [{ field: 'name', message: 'Nothing to update' }]);
+    }
+
+    // The email is checked against other users under the users lock
+    const user = await repository.updateUser(req.user.id, changes);
+    if (!user) {
+      return sendValidationError(res, [{ field: 'email', message: 'Email is already in use' }]);
+    }
+    res.json({ message: 'Profile updated successfully', user });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every expense share and settlement that moved a user's balance in the group, with a running
+// total; ?as_of=YYYY-MM-DD stops at the end of that day. Works for former members too.
+router.get('/:id/ledger', validate({ query: { as_of: { type: 'date' } } }), async (req, res) => {
+  try {
+    const ledger = await repository.getUserLedger(parseInt(req.params.id), { groupId: req.group.id, asOf: req.query.as_of });
+    if (!ledger) {
+      return res.status(404).json({ message: 'User not found in this group' });
+    }
+    res.json(ledger);
+  } catch (error) {
+    console.error('Get user ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const findMember = async (req, res) => {
+  const members = await repository.getUsers({ groupId: req.group.id });
+  const member = members.find((m) => m.id === parseInt(req.params.id));
+  if (!member) {
+    res.status(404).json({ message: 'User not found in this group' });
+    return null;
+  }
+  return member;
+};
+
+// Whether the caller may manage another member: admins manage members and viewers, only the
+// owner manages admins, and nobody manages the owner. Sends the 403 and returns false if not.
+const checkManage = (req, res, member) => {
+  if (member.role === 'owner') {
+    forbidden(res, 'The group owner cannot be changed by other members');
+    return false;
+  }
+  const action = member.role === 'admin' ? 'admins.manage' : 'users.manage';
+  if (can(req.group, action)) return true;
+  forbidAction(res, req.group, action);
+  return false;
+};
+
+// Deactivate a member who moved out: in this group they are no longer offered for new expenses
+// and can only read, but their past expenses, settlements and balance stay. Their account,
+// sessions and other groups are not affected. Members can deactivate themselves (except the
+// owner); admins can deactivate other members.
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+    if (member.id === req.user.id) {
+      if (member.role === 'owner') {
+        return forbidden(res, 'The group owner cannot be deactivated');
+      }
+    } else if (!checkManage(req, res, member)) {
+      return;
+    }
+    if (!member.active) {
+      return res.status(409).json({ message: 'User is already deactivated' });
+    }
+
+    const user = await repository.setMemberActive(req.group.id, member.id, false, req.user.id);
+    res.json({ message: 'User deactivated successfully', user });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reactivate a deactivated member
+router.post('/:id/reactivate', permit('users.manage'), async (req, res) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member || !checkManage(req, res, member)) return;
+    if (member.active) {
+      return res.status(409).json({ message: 'User is already active' });
+    }
+
+    const user = await repository.setMemberActive(req.group.id, member.id, true, req.user.id);
+    res.json({ message: 'User reactivated successfully', user });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a member's role in the group (admin, member or viewer; see middleware/permissions)
+router.put('/:id/role', permit('users.manage'), validate({ body: roleSchema }), async (req, res) => {
+  try {
+    const member = await findMember(req, res);
+    if (!member) return;
+    if (member.id === req.user.id) {
+      return forbidden(res, 'You cannot change your own role');
+    }
+    if (!checkManage(req, res, member)) return;
+    if (req.body.role === 'admin' && !can(req.group, 'admins.manage')) {
+      return forbidAction(res, req.group, 'admins.manage');
+    }
+
+    await repository.setMemberRole(req.group.id, member.id, req.body.role);
+    res.json({ message: 'Role updated successfully', user: { ...member, role: req.body.role } });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const repository = require('../services/repository');
+const webhooks = require('../services/webhooks');
+const { EVENT_TYPES } = require('../services/events');
+const { partial } = require('../services/validation');
+const { checkUrl } = require('../services/outboundUrl');
+const { validate, validateIdParam, sendValidationError } = require('../middleware/validate');
+const { permit } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.param('id', validateIdParam);
+
+const webhookSchema = {
+  url: { type: 'url', required: true, maxLength: 2000 },
+  events: { type: 'array', required: true, minItems: 1, of: { type: 'enum', values: EVENT_TYPES } },
+  secret: { type: 'string', minLength: 16, maxLength: 200 },
+  description: { type: 'string', maxLength: 200 },
+  active: { type: 'boolean' }
+};
+
+const deliveriesQuery = {
+  status: { type: 'enum', values: ['pending', 'delivered', 'failed'] },
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+// Webhooks may not point into the server's own network (see services/outboundUrl)
+const urlErrors = async (url) => {
+  const message = await checkUrl(url);
+  return message ? [{ field: 'url', message }] : [];
+};
+
+const pickWebhookFields = (body) => {
+  const fields = {};
+  ['url', 'secret', 'description', 'active'].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.events !== undefined) fields.events = [...new Set(body.events)];
+  return fields;
+};
+
+// Webhooks carry a signing secret and send group data to outside URLs: owners only
+router.use(permit('webhooks.manage'));
+
+const findWebhook = async (req, res) => {
+  const webhook = await repository.getWebhookById(req.params.id, { groupId: req.group.id });
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+};
+
+// List the group's webhooks and the event types they can subscribe to
+router.get('/', async (req, res) => {
+  try {
+    const list = await repository.getWebhooks({ groupId: req.group.id });
+    res.json({ webhooks: list, event_types: EVENT_TYPES });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a webhook. The secret (generated unless given) is only returned here.
+router.post('/', validate({ body: webhookSchema }), async (req, res) => {
+  try {
+    const fields = pickWebhookFields(req.body);
+    const errors = await urlErrors(fields.url);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const secret = fields.secret || webhooks.generateSecret();
+
+    const webhook = await repository.createWebhook({ ...fields, secret, group_id: req.group.id, created_by: req.user.id });
+    res.status(201).json({ message: 'Webhook created successfully', webhook: { ...webhook, secret } });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update url, events, secret, description or active
+router.put('/:id', validate({ body: partial(webhookSchema) }), async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+
+    const fields = pickWebhookFields(req.body);
+    const errors = fields.url ? await urlErrors(fields.url) : [];
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const webhook = await repository.updateWebhook(req.params.id, fields);
+    res.json({ message: 'Webhook updated successfully', webhook });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a webhook; deliveries still pending are marked failed instead of retried
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+
+    await repository.deleteWebhook(req.params.id);
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delivery log, latest first (?status=pending|delivered|failed, ?limit=, default 50)
+router.get('/:id/deliveries', validate({ query: deliveriesQuery }), async (req, res) => {
+  try {
+    if (!(await findWebhook(req, res))) return;
+
+    const deliveries = await repository.getWebhookDeliveries(req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit || 50
+    });
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test "ping" event now and report how the receiver answered
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhooks.ping(webhook);
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Ping webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+require("dotenv").config();
+const { migrate } = require("../services/migrations");
+
+// Create missing tables/columns and run pending migrations against the configured storage.
+//   npm run migrate              apply
+//   npm run migrate -- --dry-run show what would change without writing anything
+const dryRun = process.argv.includes("--dry-run");
+
+const printReport = (report) => {
+    const { from, to } = report.schema_version;
+    const columns = Object.entries(report.columns_added);
+    const tablesLabel = dryRun ? "Tables to create" : "Tables created";
+    const columnsLabel = dryRun ? "Columns to add" : "Columns added";
+    const migrationsLabel = dryRun ? "Migrations to run" : "Migrations run";
+
+    console.log(dryRun ? "\nDry run, nothing was written.\n" : "\nStorage is up to date.\n");
+    console.log(`${tablesLabel}: ${report.tables_created.join(", ") || "none"}`);
+    console.log(`${columnsLabel}: ${columns.length === 0 ? "none" : ""}`);
+    columns.forEach(([table, names]) => console.log(`  ${table}: ${names.join(", ")}`));
+
+    console.log(`${migrationsLabel}: ${report.migrations.length === 0 ? "none" : ""}`);
+    report.migrations.forEach((migration) => {
+        console.log(`  ${migration.name} - ${migration.description}`);
+        migration.changes.forEach((change) => {
+            const detail =
+                change.action === "backfill" || change.action === "add_rows"
+                    ? `${change.rows} row(s)`
+                    : `columns ${change.columns.join(", ")}`;
+            console.log(`    ${change.action} ${change.table}: ${detail}`);
+        });
+    });
+
+    console.log(`Schema version: ${from}${to !== from ? ` -> ${to}` : ""}`);
+};
+
+migrate({ dryRun })
+    .then((report) => {
+        printReport(report);
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error(`\nMigration failed: ${error.message}`);
+        process.exit(1);
+    });
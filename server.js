@@ -3,11 +3,34 @@ const express = require("express");
 const cors = require("cors");
 
 const authRoutes = require("./routes/auth");
+const groupRoutes = require("./routes/groups");
 const userRoutes = require("./routes/users");
 const expenseRoutes = require("./routes/expenses");
+const settlementRoutes = require("./routes/settlements");
+const reportRoutes = require("./routes/reports");
+const categoryRoutes = require("./routes/categories");
+const recurringRoutes = require("./routes/recurring");
+const exportRoutes = require("./routes/export");
+const importRoutes = require("./routes/import");
+const attachmentRoutes = require("./routes/attachments");
+const webhookRoutes = require("./routes/webhooks");
+const liveRoutes = require("./routes/live");
+const syncRoutes = require("./routes/sync");
+const shoppingRoutes = require("./routes/shopping");
+const { authenticate, authenticateStream, allowDeferred } = require("./middleware/auth");
+const { selectGroup } = require("./middleware/group");
+const repository = require("./services/repository");
+const scheduler = require("./services/scheduler");
+const writeQueue = require("./services/writeQueue");
+const webhooks = require("./services/webhooks");
+const liveUpdates = require("./services/liveUpdates");
+const migrations = require("./services/migrations");
 
 const app = express();
 
+// Render terminates TLS in front of the app; use X-Forwarded-For for req.ip (session list)
+app.set("trust proxy", 1);
+
 // CORS configuration for production
 const corsOptions = {
     origin:
@@ -44,8 +67,22 @@ if (process.env.NODE_ENV === "production") {
 
 // Routes
 app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/expenses", expenseRoutes);
+app.use("/api/groups", authenticate, groupRoutes);
+app.use("/api/users", authenticate, selectGroup, userRoutes);
+// New expenses are queued while storage is down, even before the caller could be looked up
+app.post("/api/expenses", allowDeferred);
+app.use("/api/expenses", authenticate, selectGroup, expenseRoutes);
+app.use("/api/settlements", authenticate, selectGroup, settlementRoutes);
+app.use("/api/reports", authenticate, selectGroup, reportRoutes);
+app.use("/api/categories", authenticate, selectGroup, categoryRoutes);
+app.use("/api/recurring", authenticate, selectGroup, recurringRoutes);
+app.use("/api/export", authenticate, selectGroup, exportRoutes);
+app.use("/api/import", authenticate, selectGroup, importRoutes);
+app.use("/api/attachments", authenticate, attachmentRoutes);
+app.use("/api/webhooks", authenticate, selectGroup, webhookRoutes);
+app.use("/api/live", authenticateStream, selectGroup, liveRoutes);
+app.use("/api/sync", authenticate, selectGroup, syncRoutes);
+app.use("/api/shopping", authenticate, selectGroup, shoppingRoutes);
 
 // Health check endpoint
 app.get("/", async (req, res) => {
@@ -58,7 +95,7 @@ app.get("/", async (req, res) => {
             version: "1.0.0",
             services: {
                 api: "running",
-                database: "google-sheets",
+                database: repository.driver,
             },
         });
     } catch (error) {
@@ -74,13 +111,27 @@ app.get("/", async (req, res) => {
 
 // API health check endpoint
 app.get("/api/health", (req, res) => {
+    const circuit = repository.getCircuitStats();
+    const queue = writeQueue.getStats();
+    const degraded = (circuit && circuit.state !== "closed") || queue.depth > 0;
+
     res.json({
-        status: "healthy",
+        status: degraded ? "degraded" : "healthy",
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         environment: process.env.NODE_ENV || "development",
         version: "1.0.0",
+        storage: {
+            driver: repository.driver,
+            cache: repository.getCacheStats(),
+            circuit,
+            write_queue: queue,
+            schema_version: migrations.getSchemaVersion(),
+        },
+        live: {
+            clients: liveUpdates.clientCount(),
+        },
     });
 });
 
@@ -130,12 +181,43 @@ app.use("*", (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, "0.0.0.0", () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
-    console.log(`🕐 Started at: ${new Date().toISOString()}`);
-
-    if (process.env.NODE_ENV === "production") {
-        console.log(`🌐 External URL: ${process.env.RENDER_EXTERNAL_URL || "Not set"}`);
+// Create missing sheets/columns and run pending migrations before serving requests. A failure
+// (e.g. Google Sheets is down) is logged and the server starts anyway; the next start retries.
+const migrateSchema = async () => {
+    if (process.env.MIGRATE_ON_START === "off") return;
+    try {
+        const report = await migrations.migrate();
+        const { from, to } = report.schema_version;
+        console.log(
+            `🗂️ Storage schema version ${to}${to !== from ? ` (migrated from ${from})` : ""}`
+        );
+    } catch (error) {
+        console.error("❌ Schema migration failed, starting anyway:", error.message);
     }
-});
+};
+
+migrateSchema().then(() =>
+    app.listen(PORT, "0.0.0.0", () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
+        console.log(`🕐 Started at: ${new Date().toISOString()}`);
+
+        if (process.env.NODE_ENV === "production") {
+            console.log(`🌐 External URL: ${process.env.RENDER_EXTERNAL_URL || "Not set"}`);
+        }
+
+        // Catches up recurring expenses missed while the instance was asleep, then runs periodically
+        if (process.env.RECURRING_SCHEDULER !== "off") {
+            scheduler.start();
+        }
+
+        // Replays writes queued while storage was unavailable, including ones from before a restart
+        writeQueue.start();
+
+        // Sends group events to webhooks and retries failed deliveries
+        webhooks.start();
+
+        // Pushes changes and balances to clients connected to /api/live
+        liveUpdates.start();
+    })
+);
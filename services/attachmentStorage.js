@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+// Where attachment files live. A storage exposes put(key, buffer), get(key) -> Buffer|null
+// and remove(key); keys are relative paths such as "2026-10/<uuid>.jpg". Only local
+// disk exists today (ATTACHMENT_STORAGE=local), rooted at ATTACHMENTS_DIR.
+
+class LocalDiskStorage {
+    constructor(root) {
+        this.driver = "local";
+        this.root = path.resolve(root);
+    }
+
+    // Refuse keys that would escape the storage root
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid attachment key "${key}"`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+    }
+}
+
+const createAttachmentStorage = () => {
+    const driver = (process.env.ATTACHMENT_STORAGE || "local").toLowerCase();
+    switch (driver) {
+        case "local":
+            return new LocalDiskStorage(process.env.ATTACHMENTS_DIR || "data/attachments");
+        default:
+            throw new Error(`Unknown ATTACHMENT_STORAGE "${driver}" (expected "local")`);
+    }
+};
+
+module.exports = createAttachmentStorage();
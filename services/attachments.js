@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const storage = require("./attachmentStorage");
+
+// Receipt files attached to expenses. The type is taken from the file's content rather than
+// the name or the browser-supplied MIME type; images get a small JPEG thumbnail.
+
+const MAX_FILE_SIZE = (parseFloat(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES) || 5;
+const THUMBNAIL_SIZE = 320;
+
+const FILE_TYPES = [
+    {
+        mime_type: "image/jpeg",
+        extension: "jpg",
+        matches: (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    },
+    {
+        mime_type: "image/png",
+        extension: "png",
+        matches: (b) => b.subarray(0, 8).equals(Buffer.from("\x89PNG\r\n\x1a\n", "latin1")),
+    },
+    {
+        mime_type: "image/webp",
+        extension: "webp",
+        matches: (b) =>
+            b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP",
+    },
+    {
+        mime_type: "application/pdf",
+        extension: "pdf",
+        matches: (b) => b.toString("latin1", 0, 5) === "%PDF-",
+    },
+];
+const ALLOWED_MIME_TYPES = FILE_TYPES.map((t) => t.mime_type);
+
+const detectType = (buffer) => FILE_TYPES.find((type) => type.matches(buffer)) || null;
+
+// Return an error message for an uploaded file (multer's { originalname, size, buffer }), or null
+const validateFile = (file) => {
+    if (file.size === 0) return `${file.originalname} is empty`;
+    if (file.size > MAX_FILE_SIZE) {
+        return `${file.originalname} is larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`;
+    }
+    if (!detectType(file.buffer)) {
+        return `${file.originalname} is not a supported file (${ALLOWED_MIME_TYPES.join(", ")})`;
+    }
+    return null;
+};
+
+const makeThumbnail = (buffer) =>
+    sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+// Write a validated file (and its thumbnail) to storage; returns the attachment fields to save
+const storeFile = async (file) => {
+    const type = detectType(file.buffer);
+    const prefix = `${new Date().toISOString().slice(0, 7)}/${crypto.randomUUID()}`;
+    const storageKey = `${prefix}.${type.extension}`;
+
+    await storage.put(storageKey, file.buffer);
+
+    let thumbnailKey = "";
+    if (type.mime_type.startsWith("image/")) {
+        try {
+            thumbnailKey = `${prefix}.thumb.jpg`;
+            await storage.put(thumbnailKey, await makeThumbnail(file.buffer));
+        } catch (error) {
+            // A corrupt image is still kept as uploaded, just without a preview
+            console.error("❌ Error creating thumbnail:", error.message);
+            thumbnailKey = "";
+        }
+    }
+
+    return {
+        filename: file.originalname,
+        mime_type: type.mime_type,
+        size: file.size,
+        storage_key: storageKey,
+        thumbnail_key: thumbnailKey,
+    };
+};
+
+const removeFiles = async (attachment) => {
+    await storage.remove(attachment.storage_key);
+    if (attachment.thumbnail_key) await storage.remove(attachment.thumbnail_key);
+};
+
+const readFile = (key) => storage.get(key);
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_FILES,
+    ALLOWED_MIME_TYPES,
+    validateFile,
+    storeFile,
+    removeFiles,
+    readFile,
+};
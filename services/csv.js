@@ -0,0 +1,66 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheet apps run text starting with =, +, -, @, tab or CR as a formula, so text cells
+// that start with one (e.g. a product name typed by a user) are prefixed with ' to be shown
+// as text. Numbers are left alone so negative amounts stay numbers.
+const escapeFormula = (value) =>
+    typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const escapeCell = (value, delimiter) => {
+    const text = value === null || value === undefined ? "" : String(escapeFormula(value));
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+};
+
+// rows is an array of arrays; a UTF-8 BOM is prepended so Excel opens Vietnamese text correctly
+const toCsv = (rows, delimiter = ",") =>
+    "\uFEFF" +
+    rows.map((row) => row.map((v) => escapeCell(v, delimiter)).join(delimiter)).join("\r\n");
+
+// Parse CSV text into an array of arrays, handling quoted cells with delimiters and newlines
+const parseCsv = (text, delimiter = ",") => {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, "");
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== "" || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+module.exports = { toCsv, parseCsv };
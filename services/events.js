@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// In-process bus for changes to group data. The repository publishes an event after each
+// write; listeners (webhooks) react without the write path knowing about them. Every event
+// is { id, type, group_id, entity_id, actor_id, occurred_at }. Listeners must not throw.
+const EVENT_TYPES = [
+    "expense.created",
+    "expense.updated",
+    "expense.deleted",
+    "expense.restored",
+    "settlement.recorded",
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const publish = (type, { groupId, entityId, actorId = null }) => {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        group_id: parseInt(groupId),
+        entity_id: parseInt(entityId),
+        actor_id: actorId === null || actorId === "" ? null : parseInt(actorId),
+        occurred_at: new Date().toISOString(),
+    };
+    bus.emit("event", event);
+    return event;
+};
+
+const subscribe = (listener) => {
+    bus.on("event", listener);
+    return () => bus.off("event", listener);
+};
+
+module.exports = { EVENT_TYPES, publish, subscribe };
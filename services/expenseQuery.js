@@ -0,0 +1,182 @@
+// Filtering, sorting and pagination for GET /api/expenses, applied to joined expenses
+
+const SORT_FIELDS = ["expense_date", "amount", "created_at", "product_name", "quantity", "id"];
+const MAX_LIMIT = 200;
+
+// Lowercase and strip Vietnamese diacritics so "ga" matches "Gà" and "dau" matches "Dầu"
+const foldText = (value) =>
+    String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/đ/g, "d")
+        .replace(/Đ/g, "D")
+        .toLowerCase();
+
+// A real calendar date in YYYY-MM-DD format (Date.parse alone accepts e.g. 2026-02-30)
+const isIsoDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+const encodeCursor = (expense, sort) =>
+    Buffer.from(JSON.stringify([expense[sort], expense.id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        const value = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        return Array.isArray(value) && value.length === 2 ? value : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Parse req.query into { filters, sort, order, page, limit, cursor, paginate }, or
+// { errors: [{ field, message }] } listing every invalid parameter
+const parseExpenseQuery = (query) => {
+    const filters = {};
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+    const parseIntParam = (name) => {
+        if (query[name] === undefined || query[name] === "") return undefined;
+        const value = Number(query[name]);
+        return Number.isInteger(value) && value > 0 ? value : NaN;
+    };
+    const parseAmountParam = (name) => {
+        if (query[name] === undefined || query[name] === "") return undefined;
+        const value = Number(query[name]);
+        return Number.isFinite(value) && value >= 0 ? value : NaN;
+    };
+
+    for (const name of ["from", "to"]) {
+        if (query[name] !== undefined && query[name] !== "") {
+            if (isIsoDate(query[name])) filters[name] = query[name];
+            else fail(name, `${name} must be a valid date in YYYY-MM-DD format`);
+        }
+    }
+
+    for (const name of ["paid_by", "consumer", "category"]) {
+        const value = parseIntParam(name);
+        if (Number.isNaN(value)) fail(name, `${name} must be an id`);
+        else if (value !== undefined) filters[name] = value;
+    }
+
+    for (const name of ["min_amount", "max_amount"]) {
+        const value = parseAmountParam(name);
+        if (Number.isNaN(value)) fail(name, `${name} must be a non-negative number`);
+        else if (value !== undefined) filters[name] = value;
+    }
+
+    if (query.q) filters.q = foldText(query.q);
+
+    const sort = query.sort || "expense_date";
+    if (!SORT_FIELDS.includes(sort)) {
+        fail("sort", `sort must be one of: ${SORT_FIELDS.join(", ")}`);
+    }
+
+    const order = (query.order || "desc").toLowerCase();
+    if (!["asc", "desc"].includes(order)) {
+        fail("order", "order must be asc or desc");
+    }
+
+    const page = parseIntParam("page");
+    const limit = parseIntParam("limit");
+    if (Number.isNaN(page)) fail("page", "page must be a positive integer");
+    if (Number.isNaN(limit)) fail("limit", "limit must be a positive integer");
+
+    let cursor;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) fail("cursor", "Invalid cursor");
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+        filters,
+        sort,
+        order,
+        page: page || 1,
+        limit: Math.min(limit || 50, MAX_LIMIT),
+        cursor,
+        // Without page, limit or cursor the endpoint keeps returning the plain array
+        paginate: page !== undefined || limit !== undefined || query.cursor !== undefined,
+    };
+};
+
+const matchesFilters = (expense, filters) => {
+    if (filters.from && expense.expense_date < filters.from) return false;
+    // expense_date may carry a time part, so compare only the date
+    if (filters.to && String(expense.expense_date).slice(0, 10) > filters.to) return false;
+    if (filters.paid_by && expense.paid_by.id !== filters.paid_by) return false;
+    if (filters.consumer && !expense.consumers.some((c) => c.id === filters.consumer)) {
+        return false;
+    }
+    if (filters.category && (!expense.category || expense.category.id !== filters.category)) {
+        return false;
+    }
+    if (filters.min_amount !== undefined && expense.amount < filters.min_amount) return false;
+    if (filters.max_amount !== undefined && expense.amount > filters.max_amount) return false;
+    if (filters.q) {
+        const text = foldText(`${expense.product_name} ${expense.note}`);
+        if (!text.includes(filters.q)) return false;
+    }
+    return true;
+};
+
+const compareValues = (a, b) => {
+    if (typeof a === "number" && typeof b === "number") return a - b;
+    return String(a ?? "").localeCompare(String(b ?? ""));
+};
+
+const comparator = (sort, order) => {
+    const direction = order === "asc" ? 1 : -1;
+    return (a, b) => direction * (compareValues(a[sort], b[sort]) || compareValues(a.id, b.id));
+};
+
+// Filter and sort joined expenses. Ties on the sort field are broken by id so that both
+// page numbers and cursors are stable.
+const filterExpenses = (expenses, { filters, sort, order }) =>
+    expenses.filter((expense) => matchesFilters(expense, filters)).sort(comparator(sort, order));
+
+// Cut one page out of filtered expenses, with totals over every matching expense
+const paginateExpenses = (matched, { sort, order, page, limit, cursor }) => {
+    const compare = comparator(sort, order);
+    const roundMoney = (value) => Math.round(value * 100) / 100;
+
+    let start = (page - 1) * limit;
+    if (cursor) {
+        const [sortValue, id] = cursor;
+        const position = { [sort]: sortValue, id };
+        start = matched.findIndex((expense) => compare(expense, position) > 0);
+        if (start === -1) start = matched.length;
+    }
+
+    const items = matched.slice(start, start + limit);
+    const hasMore = start + limit < matched.length;
+
+    return {
+        expenses: items,
+        totals: {
+            count: matched.length,
+            amount: roundMoney(matched.reduce((sum, e) => sum + e.amount, 0)),
+            page_amount: roundMoney(items.reduce((sum, e) => sum + e.amount, 0)),
+        },
+        pagination: {
+            page: cursor ? null : page,
+            limit,
+            total_pages: Math.ceil(matched.length / limit),
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+        },
+    };
+};
+
+module.exports = {
+    SORT_FIELDS,
+    foldText,
+    isIsoDate,
+    parseExpenseQuery,
+    filterExpenses,
+    paginateExpenses,
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { TABLES } = require("./schema");
+
+// Local JSON-file storage with the same table/row semantics as the Google Sheets driver.
+// Every value is stored as a string, exactly like a spreadsheet cell read back through the API.
+class FileStore {
+    constructor() {
+        this.driver = "file";
+        this.filePath = path.resolve(process.env.DATA_FILE || "data/chome2.json");
+        this.data = null;
+        this.isInitialized = false;
+        this.writeChain = Promise.resolve();
+    }
+
+    async init() {
+        try {
+            console.log(`🔄 Loading local data file ${this.filePath}...`);
+            const raw = await fs.promises.readFile(this.filePath, "utf8");
+            this.data = JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.error("❌ Error reading local data file:", error.message);
+                throw error;
+            }
+            console.log("📄 Data file not found, starting with an empty database");
+            this.data = { tables: {} };
+        }
+
+        this.isInitialized = true;
+        return true;
+    }
+
+    async ensureInitialized() {
+        if (!this.isInitialized) {
+            await this.init();
+        }
+    }
+
+    async testConnection() {
+        try {
+            await this.ensureInitialized();
+
+            return {
+                success: true,
+                title: this.filePath,
+                sheetCount: Object.keys(this.data.tables).length,
+                sheets: Object.keys(this.data.tables),
+                timestamp: new Date().toISOString(),
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString(),
+            };
+        }
+    }
+
+    // Everything is held in memory, so there is no separate read cache
+    getCacheStats() {
+        return null;
+    }
+
+    // A local file has no remote outages to guard against
+    getCircuitStats() {
+        return null;
+    }
+
+    // Normalize a record to the table's columns with string values
+    toRecord(table, record) {
+        const columns = new Set([...(TABLES[table] || []), ...Object.keys(record)]);
+        const result = {};
+        columns.forEach((column) => {
+            const value = record[column];
+            result[column] = value === undefined || value === null ? "" : String(value);
+        });
+        return result;
+    }
+
+    table(table) {
+        if (!this.data.tables[table]) this.data.tables[table] = [];
+        return this.data.tables[table];
+    }
+
+    // Serialize writes and replace the file atomically so a crash never leaves half a JSON document
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeChain = this.writeChain.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, snapshot);
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        return this.writeChain;
+    }
+
+    // Columns of every table in the file: those every row has (rows written before a column
+    // existed lack its key); an empty table has every column of the schema
+    async describeTables() {
+        await this.ensureInitialized();
+        const tables = {};
+        Object.entries(this.data.tables).forEach(([table, rows]) => {
+            tables[table] =
+                rows.length > 0
+                    ? Object.keys(rows[0]).filter((column) => rows.every((row) => column in row))
+                    : [...(TABLES[table] || [])];
+        });
+        return tables;
+    }
+
+    async createTable(table) {
+        await this.ensureInitialized();
+        this.table(table);
+        await this.persist();
+    }
+
+    async addColumns(table, columns) {
+        await this.ensureInitialized();
+        this.table(table).forEach((row) => {
+            columns.forEach((column) => {
+                if (row[column] === undefined) row[column] = "";
+            });
+        });
+        await this.persist();
+    }
+
+    async getRows(table) {
+        await this.ensureInitialized();
+        return this.table(table).map((record) => this.toRecord(table, record));
+    }
+
+    async addRows(table, records) {
+        await this.ensureInitialized();
+        if (records.length === 0) return;
+
+        this.table(table).push(...records.map((record) => this.toRecord(table, record)));
+        await this.persist();
+    }
+
+    async updateRow(table, id, changes) {
+        await this.ensureInitialized();
+        const rows = this.table(table);
+        const index = rows.findIndex((row) => row.id == id);
+        if (index === -1) return null;
+
+        rows[index] = this.toRecord(table, { ...rows[index], ...changes });
+        await this.persist();
+        return { ...rows[index] };
+    }
+
+    async deleteRow(table, id) {
+        await this.ensureInitialized();
+        const rows = this.table(table);
+        const index = rows.findIndex((row) => row.id == id);
+        if (index === -1) return false;
+
+        rows.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+}
+
+module.exports = new FileStore();
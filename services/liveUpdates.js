@@ -0,0 +1,144 @@
+const repository = require("./repository");
+const { subscribe } = require("./events");
+
+// Pushes group changes to connected clients (the Server-Sent Events stream in routes/live).
+// Every change event (expense.created, expense.updated, ..., settlement.recorded) is sent
+// with the expense or settlement as data, then a "balance" event with the group's balances
+// recomputed by calculateBalance.
+//
+// Change events carry ids "<boot>-<sequence>". The last LIVE_REPLAY_SIZE of each group are
+// kept in memory, so a client reconnecting with Last-Event-ID is sent what it missed. When
+// that is impossible (the id is older than what is kept, or from before a restart) the
+// client gets a "resync" event instead and should reload its data.
+const REPLAY_SIZE = parseInt(process.env.LIVE_REPLAY_SIZE) || 100;
+
+class LiveUpdates {
+    constructor() {
+        this.bootId = Date.now().toString(36);
+        this.sequence = 0;
+        this.history = new Map(); // group id -> recent change messages
+        this.trimmedUpTo = new Map(); // group id -> highest sequence no longer in history
+        this.clients = new Map(); // group id -> Set of send(message) functions
+        this.pending = new Map(); // group id -> promise of the group's last queued event
+        this.unsubscribe = null;
+    }
+
+    start() {
+        if (this.unsubscribe) return;
+        this.unsubscribe = subscribe((event) => this.handleEvent(event));
+    }
+
+    stop() {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+    }
+
+    // Register a client of a group. send(message) is called with { id?, event, data }.
+    // Missed changes (or "resync") and the current balances are sent first.
+    // Returns a function that unregisters the client.
+    async connect(groupId, lastEventId, send) {
+        if (!this.clients.has(groupId)) this.clients.set(groupId, new Set());
+        const clients = this.clients.get(groupId);
+        clients.add(send);
+
+        if (lastEventId) {
+            const missed = this.missedSince(groupId, lastEventId);
+            if (missed) {
+                missed.forEach(send);
+            } else {
+                send({
+                    event: "resync",
+                    data: { reason: "Missed events are no longer available" },
+                });
+            }
+        }
+        await this.sendBalance(groupId, [send]);
+
+        return () => {
+            clients.delete(send);
+            if (clients.size === 0) this.clients.delete(groupId);
+        };
+    }
+
+    // Messages of the group after lastEventId, or null when they cannot all be replayed
+    missedSince(groupId, lastEventId) {
+        const [bootId, sequence] = String(lastEventId).split("-");
+        const last = parseInt(sequence);
+        if (bootId !== this.bootId || !Number.isInteger(last) || last > this.sequence) return null;
+        if (last < (this.trimmedUpTo.get(groupId) || 0)) return null;
+
+        return (this.history.get(groupId) || [])
+            .filter((message) => message.sequence > last)
+            .sort((a, b) => a.sequence - b.sequence);
+    }
+
+    clientCount() {
+        let count = 0;
+        this.clients.forEach((clients) => (count += clients.size));
+        return count;
+    }
+
+    // Event listener. Never throws. Events of a group are handled one at a time, in the order
+    // they happened, so ids, the replay history and what clients receive all follow that order.
+    handleEvent(event) {
+        const previous = this.pending.get(event.group_id) || Promise.resolve();
+        const current = previous.then(() => this.push(event));
+        this.pending.set(event.group_id, current);
+        return current.then(() => {
+            if (this.pending.get(event.group_id) === current) this.pending.delete(event.group_id);
+        });
+    }
+
+    async push(event) {
+        try {
+            const data = await repository.getEventData(event);
+            const sequence = ++this.sequence;
+            const message = {
+                sequence,
+                id: `${this.bootId}-${sequence}`,
+                event: event.type,
+                data: {
+                    id: event.id,
+                    type: event.type,
+                    created_at: event.occurred_at,
+                    group_id: event.group_id,
+                    actor_id: event.actor_id,
+                    data,
+                },
+            };
+            this.remember(event.group_id, message);
+
+            const clients = [...(this.clients.get(event.group_id) || [])];
+            if (clients.length === 0) return;
+            clients.forEach((send) => send(message));
+            await this.sendBalance(event.group_id, clients);
+        } catch (error) {
+            console.error(`❌ Error pushing live ${event.type} update:`, error);
+        }
+    }
+
+    remember(groupId, message) {
+        if (!this.history.has(groupId)) this.history.set(groupId, []);
+        const history = this.history.get(groupId);
+        history.push(message);
+
+        while (history.length > REPLAY_SIZE) {
+            const dropped = history.shift();
+            this.trimmedUpTo.set(
+                groupId,
+                Math.max(this.trimmedUpTo.get(groupId) || 0, dropped.sequence)
+            );
+        }
+    }
+
+    async sendBalance(groupId, clients) {
+        try {
+            const balance = await repository.calculateBalance({ groupId });
+            clients.forEach((send) => send({ event: "balance", data: balance }));
+        } catch (error) {
+            console.error("❌ Error computing live balance update:", error);
+        }
+    }
+}
+
+module.exports = new LiveUpdates();
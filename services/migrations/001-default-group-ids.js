@@ -0,0 +1,13 @@
+// Rows written before groups existed have an empty group_id, which the code reads as the
+// default group (id 1). Store it explicitly so the sheets can be filtered by group by hand.
+const DEFAULT_GROUP_ID = 1;
+
+module.exports = {
+    description: "Set group_id of rows written before groups existed to the default group",
+
+    async up({ backfill }) {
+        for (const table of ["expenses", "settlements", "categories", "recurring_expenses"]) {
+            await backfill(table, (row) => (row.group_id ? null : { group_id: DEFAULT_GROUP_ID }));
+        }
+    },
+};
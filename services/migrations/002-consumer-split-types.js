@@ -0,0 +1,11 @@
+// Consumer rows written before uneven splits existed have no split_type or weight; they are
+// equal splits, where every weight is 1 (see services/splits).
+module.exports = {
+    description: "Mark consumer rows written before split types existed as equal splits",
+
+    async up({ backfill }) {
+        await backfill("expense_consumers", (row) =>
+            row.split_type ? null : { split_type: "equal", weight: 1 }
+        );
+    },
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+
+// Data recorded before groups existed belongs to one family: put every user of such a store
+// into a default group (id 1, which 001 assigned their rows to), the first user as owner.
+// New installs are left alone. Groups created while this migration had not run yet start at
+// id 2 (see repository.createGroup); if there are such groups, the default group is only
+// created when rows from before groups exist, and only gets the users those rows name and
+// the users who are in no group.
+const DEFAULT_GROUP_ID = 1;
+
+const inDefaultGroup = (row) => (parseInt(row.group_id) || DEFAULT_GROUP_ID) === DEFAULT_GROUP_ID;
+
+// Users named by rows of the default group
+const legacyUserIds = async (getRows) => {
+    const [expenses, consumers, settlements, templates] = await Promise.all([
+        getRows("expenses"),
+        getRows("expense_consumers"),
+        getRows("settlements"),
+        getRows("recurring_expenses"),
+    ]);
+    const legacyExpenses = expenses.filter(inDefaultGroup);
+    const expenseIds = new Set(legacyExpenses.map((e) => String(e.id)));
+    return new Set(
+        [
+            ...legacyExpenses.flatMap((e) => [e.paid_by, e.created_by]),
+            ...consumers.filter((c) => expenseIds.has(String(c.expense_id))).map((c) => c.user_id),
+            ...settlements.filter(inDefaultGroup).flatMap((s) => [s.from_user, s.to_user]),
+            ...templates.filter(inDefaultGroup).map((t) => t.paid_by),
+        ]
+            .map((id) => parseInt(id))
+            .filter(Boolean)
+    );
+};
+
+module.exports = {
+    description: "Put users recorded before groups existed into a default group",
+
+    async up({ getRows, addRows }) {
+        const [groups, users, members] = await Promise.all([
+            getRows("groups"),
+            getRows("users"),
+            getRows("group_members"),
+        ]);
+        if (users.length === 0) return;
+
+        const currentTime = new Date().toISOString().slice(0, 19).replace("T", " ");
+        let sortedUsers = [...users].sort((a, b) => parseInt(a.id) - parseInt(b.id));
+        const otherGroups = groups.filter((group) => parseInt(group.id) !== DEFAULT_GROUP_ID);
+        if (otherGroups.length > 0) {
+            const legacyIds = await legacyUserIds(getRows);
+            const grouped = new Set(
+                members
+                    .filter((m) => parseInt(m.group_id) !== DEFAULT_GROUP_ID)
+                    .map((m) => parseInt(m.user_id))
+            );
+            sortedUsers = sortedUsers.filter(
+                (user) => legacyIds.has(parseInt(user.id)) || !grouped.has(parseInt(user.id))
+            );
+            if (legacyIds.size === 0 || sortedUsers.length === 0) return;
+        }
+
+        if (!groups.some((group) => parseInt(group.id) === DEFAULT_GROUP_ID)) {
+            await addRows("groups", [
+                {
+                    id: DEFAULT_GROUP_ID,
+                    name: process.env.DEFAULT_GROUP_NAME || "Family",
+                    invite_code: crypto.randomBytes(6).toString("base64url"),
+                    created_by: sortedUsers[0].id,
+                    created_at: currentTime,
+                },
+            ]);
+        }
+
+        // A run that stopped after creating the group still has to add its members
+        if (members.some((m) => parseInt(m.group_id) === DEFAULT_GROUP_ID)) return;
+        const startId = Math.max(0, ...members.map((m) => parseInt(m.id) || 0)) + 1;
+        await addRows(
+            "group_members",
+            sortedUsers.map((user, i) => ({
+                id: startId + i,
+                group_id: DEFAULT_GROUP_ID,
+                user_id: user.id,
+                role: i === 0 ? "owner" : "member",
+                joined_at: currentTime,
+            }))
+        );
+    },
+};
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const repository = require("../repository");
+const { TABLES } = require("../schema");
+
+// Brings the storage up to date with the code, at startup or with `npm run migrate`:
+//   1. creates the table (sheet) of every table in services/schema that is missing and
+//      appends header columns that are missing from existing ones
+//   2. runs, in order, the migration scripts in this directory whose version is above the
+//      schema_version recorded in the metadata table, recording each version once it is done
+// Scripts are named "<version>-<name>.js" and export { description, up(ctx) }. ctx offers
+// getRows(table), addColumns(table, columns), addRows(table, rows) and backfill(table, update)
+// (see below), so the same script works on every storage driver. Scripts should be safe to
+// run again in case a run stops half-way, e.g. by only filling values that are still empty.
+//
+// With dryRun nothing is written; the report says what would be created and how many rows
+// each backfill would change.
+
+const loadMigrations = () => {
+    const migrations = fs
+        .readdirSync(__dirname)
+        .filter((file) => /^\d+-.+\.js$/.test(file))
+        .map((file) => ({
+            version: parseInt(file),
+            name: file.replace(/\.js$/, ""),
+            ...require(path.join(__dirname, file)),
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Two migrations have version ${migration.version}`);
+        }
+    });
+    return migrations;
+};
+
+// What a migration script can do; every step is added to changes for the report
+const createContext = (store, dryRun, changes) => ({
+    dryRun,
+
+    getRows: (table) => store.getRows(table),
+
+    // Append header columns that the table does not have yet
+    async addColumns(table, columns) {
+        const existing = (await store.describeTables())[table] || [];
+        const missing = columns.filter((column) => !existing.includes(column));
+        if (missing.length === 0) return;
+
+        changes.push({ table, action: "add_columns", columns: missing });
+        if (!dryRun) await store.addColumns(table, missing);
+    },
+
+    // Append rows, ids included
+    async addRows(table, rows) {
+        if (rows.length === 0) return;
+        changes.push({ table, action: "add_rows", rows: rows.length });
+        if (!dryRun) await store.addRows(table, rows);
+    },
+
+    // Call update(row) for every row and save the changes it returns (null leaves the row
+    // alone). Returns how many rows were, or in a dry run would be, changed.
+    async backfill(table, update) {
+        const rows = await store.getRows(table);
+        let count = 0;
+        for (const row of rows) {
+            const rowChanges = update(row);
+            if (!rowChanges) continue;
+            count++;
+            if (!dryRun) await store.updateRow(table, row.id, rowChanges);
+        }
+
+        changes.push({ table, action: "backfill", rows: count });
+        return count;
+    },
+});
+
+let schemaVersion = null;
+
+const migrate = async ({ dryRun = false } = {}) => {
+    try {
+        const store = repository.store;
+        const report = {
+            dry_run: dryRun,
+            tables_created: [],
+            columns_added: {},
+            migrations: [],
+            schema_version: null,
+        };
+
+        const existing = await store.describeTables();
+        for (const [table, columns] of Object.entries(TABLES)) {
+            if (!existing[table]) {
+                report.tables_created.push(table);
+                if (!dryRun) await store.createTable(table);
+                continue;
+            }
+            const missing = columns.filter((column) => !existing[table].includes(column));
+            if (missing.length > 0) {
+                report.columns_added[table] = missing;
+                if (!dryRun) await store.addColumns(table, missing);
+            }
+        }
+
+        const current = parseInt(await repository.getMetadata("schema_version")) || 0;
+        let version = current;
+        for (const migration of loadMigrations().filter((m) => m.version > current)) {
+            console.log(`🔧 ${dryRun ? "Checking" : "Running"} migration ${migration.name}`);
+            const changes = [];
+            await migration.up(createContext(store, dryRun, changes));
+
+            version = migration.version;
+            if (!dryRun) await repository.setMetadata("schema_version", version);
+            report.migrations.push({
+                version,
+                name: migration.name,
+                description: migration.description,
+                changes,
+            });
+        }
+
+        report.schema_version = { from: current, to: version };
+        if (!dryRun) schemaVersion = version;
+        return report;
+    } catch (error) {
+        console.error("❌ Error migrating storage schema:", error);
+        throw error;
+    }
+};
+
+// Version reached by the last migrate() of this process, null before it has run
+const getSchemaVersion = () => schemaVersion;
+
+module.exports = { migrate, loadMigrations, getSchemaVersion };
@@ -0,0 +1,119 @@
+const dns = require("dns");
+const net = require("net");
+
+// Guards requests the server makes to user-supplied URLs (webhooks) against reaching the
+// server's own network: loopback, private, link-local (including the cloud metadata address
+// 169.254.169.254), carrier-grade NAT, multicast and reserved addresses are refused, also
+// inside IPv6 addresses that embed them (::ffff:127.0.0.1, 6to4), both for IP literals and
+// for every address a host name resolves to. safeLookup repeats the check on the lookup the
+// connection itself uses, so a host name cannot resolve to a public address when checked
+// and a private one when connecting.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true turns the guard off, for local development only.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const blockList = new net.BlockList();
+[
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, "ipv4"));
+[
+    // Unspecified, loopback and the deprecated IPv4-compatible addresses (::127.0.0.1)
+    ["::", 96],
+    // NAT64 and 6to4 relays reach whatever IPv4 address is embedded in them
+    ["64:ff9b::", 96],
+    ["2002::", 16],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, "ipv6"));
+
+// The eight 16-bit words of an IPv6 address, with "::" expanded and a dotted IPv4 tail
+// (::ffff:127.0.0.1) as two words
+const ipv6Words = (address) => {
+    const text = address
+        .split("%")[0]
+        .replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+            [a * 256 + +b, c * 256 + +d].map((word) => word.toString(16)).join(":")
+        );
+    const words = (part) => (part ? part.split(":").map((word) => parseInt(word, 16)) : []);
+    const [head, tail] = text.split("::");
+    if (tail === undefined) return words(head);
+    const zeros = 8 - words(head).length - words(tail).length;
+    return [...words(head), ...Array(zeros).fill(0), ...words(tail)];
+};
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:0:0/96), or null
+const mappedIPv4 = (address) => {
+    const words = ipv6Words(address);
+    if (words.slice(0, 5).some((word) => word !== 0) || words[5] !== 0xffff) return null;
+    return [words[6] >> 8, words[6] & 255, words[7] >> 8, words[7] & 255].join(".");
+};
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    if (ALLOW_PRIVATE) return false;
+    if (family === 4) return blockList.check(address, "ipv4");
+    const ipv4 = mappedIPv4(address);
+    return ipv4 ? blockList.check(ipv4, "ipv4") : blockList.check(address, "ipv6");
+};
+
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+// Why url may not be requested, or null if it may. Resolves the host name; with
+// allowUnresolved a host that does not resolve (right now) passes, the request will fail anyway.
+// IP literals never go through safeLookup, so requests must be checked here first.
+const checkUrl = async (value, { allowUnresolved = false } = {}) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return "URL is not valid";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return "URL must use http or https";
+
+    const host = hostOf(url);
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+        } catch (error) {
+            return allowUnresolved ? null : `Host ${host} could not be resolved`;
+        }
+    }
+
+    const blocked = addresses.find(isBlockedAddress);
+    if (!blocked) return null;
+    return blocked === host
+        ? `${host} is a private or reserved address`
+        : `Host ${host} resolves to a private or reserved address (${blocked})`;
+};
+
+// dns.lookup replacement for http(s).request that fails for blocked addresses
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find((a) => isBlockedAddress(a.address));
+        if (blocked) {
+            const blockedError = new Error(`${hostname} resolves to a blocked address`);
+            blockedError.code = "EBLOCKEDADDRESS";
+            return callback(blockedError);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+module.exports = { checkUrl, safeLookup };
@@ -0,0 +1,109 @@
+// Date rules for recurring expense templates. All dates are "YYYY-MM-DD" strings in UTC.
+//   monthly  - on day_of_month (clamped to the last day of shorter months)
+//   weekly   - on day_of_week (0 = Sunday ... 6 = Saturday)
+//   interval - every interval_days days counted from start_date
+const FREQUENCIES = ["monthly", "weekly", "interval"];
+
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (value, days) => {
+    const date = parseDate(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDate(date);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const today = () => formatDate(new Date());
+
+// Return [{ field, message }] for every problem with a rule; empty when it is valid
+const validateRule = (rule) => {
+    const isDate = (value) =>
+        /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(parseDate(value)) &&
+        formatDate(parseDate(value)) === value;
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        fail("frequency", `frequency must be one of: ${FREQUENCIES.join(", ")}`);
+    }
+    if (!isDate(rule.start_date)) {
+        fail("start_date", "start_date must be a date in YYYY-MM-DD format");
+    }
+    if (rule.end_date && !isDate(rule.end_date)) {
+        fail("end_date", "end_date must be a date in YYYY-MM-DD format");
+    } else if (rule.end_date && rule.end_date < rule.start_date) {
+        fail("end_date", "end_date must not be before start_date");
+    }
+    if (rule.frequency === "monthly") {
+        const day = Number(rule.day_of_month);
+        if (!Number.isInteger(day) || day < 1 || day > 31) {
+            fail("day_of_month", "day_of_month must be between 1 and 31");
+        }
+    }
+    if (rule.frequency === "weekly") {
+        const day = Number(rule.day_of_week);
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            fail("day_of_week", "day_of_week must be between 0 (Sunday) and 6 (Saturday)");
+        }
+    }
+    if (rule.frequency === "interval") {
+        const days = Number(rule.interval_days);
+        if (!Number.isInteger(days) || days < 1) {
+            fail("interval_days", "interval_days must be a positive integer");
+        }
+    }
+    return errors;
+};
+
+// Every occurrence date of a rule between from and to (both inclusive), bounded by the
+// rule's start_date and end_date
+const occurrencesBetween = (rule, from, to) => {
+    const first = from > rule.start_date ? from : rule.start_date;
+    const last = rule.end_date && rule.end_date < to ? rule.end_date : to;
+    const dates = [];
+    if (first > last) return dates;
+
+    if (rule.frequency === "monthly") {
+        const start = parseDate(first);
+        let year = start.getUTCFullYear();
+        let month = start.getUTCMonth();
+        for (;;) {
+            const day = Math.min(Number(rule.day_of_month), daysInMonth(year, month));
+            const date = formatDate(new Date(Date.UTC(year, month, day)));
+            if (date > last) break;
+            if (date >= first) dates.push(date);
+            month += 1;
+            if (month > 11) {
+                month = 0;
+                year += 1;
+            }
+        }
+    } else if (rule.frequency === "weekly") {
+        const offset = (Number(rule.day_of_week) - parseDate(first).getUTCDay() + 7) % 7;
+        for (let date = addDays(first, offset); date <= last; date = addDays(date, 7)) {
+            dates.push(date);
+        }
+    } else {
+        const step = Number(rule.interval_days);
+        const elapsed = Math.round((parseDate(first) - parseDate(rule.start_date)) / 86400000);
+        const offset = (step - (elapsed % step)) % step;
+        for (let date = addDays(first, offset); date <= last; date = addDays(date, step)) {
+            dates.push(date);
+        }
+    }
+
+    return dates;
+};
+
+// First occurrence strictly after a date, or null once the rule has ended
+const nextOccurrence = (rule, after) => {
+    const from = addDays(after, 1);
+    // Every frequency repeats at least once in this window
+    const horizon = addDays(from, Math.max(31, Number(rule.interval_days) || 0));
+    return occurrencesBetween(rule, from, horizon)[0] || null;
+};
+
+module.exports = { FREQUENCIES, today, addDays, validateRule, occurrencesBetween, nextOccurrence };
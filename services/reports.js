@@ -0,0 +1,186 @@
+const { isIsoDate } = require("./expenseQuery");
+
+// Aggregates for GET /api/reports, computed from joined expenses (see Repository#getExpenses)
+
+const BUCKETS = ["day", "week", "month", "year"];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// ISO 8601 week, e.g. "2026-W42"
+const isoWeek = (date) => {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const day = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - day);
+    const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+const bucketKey = (expenseDate, bucket) => {
+    const day = String(expenseDate).slice(0, 10);
+    switch (bucket) {
+        case "day":
+            return day;
+        case "week":
+            return isoWeek(new Date(`${day}T00:00:00Z`));
+        case "year":
+            return day.slice(0, 4);
+        default:
+            return day.slice(0, 7);
+    }
+};
+
+const previousMonth = (month) => {
+    const [year, m] = month.split("-").map(Number);
+    return m === 1 ? `${year - 1}-12` : `${year}-${String(m - 1).padStart(2, "0")}`;
+};
+
+// Every "YYYY-MM" from the first to the last month, inclusive
+const monthsBetween = (first, last) => {
+    const months = [];
+    let [year, month] = first.split("-").map(Number);
+    const [lastYear, lastMonth] = last.split("-").map(Number);
+    while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+        months.push(`${year}-${String(month).padStart(2, "0")}`);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+};
+
+// Parse req.query into { from, to, bucket, top }, or { errors: [{ field, message }] }
+const parseReportQuery = (query) => {
+    const errors = [];
+    for (const name of ["from", "to"]) {
+        if (query[name] && !isIsoDate(query[name])) {
+            errors.push({
+                field: name,
+                message: `${name} must be a valid date in YYYY-MM-DD format`,
+            });
+        }
+    }
+    if (errors.length === 0 && query.from && query.to && query.from > query.to) {
+        errors.push({ field: "from", message: "from must not be after to" });
+    }
+
+    const bucket = query.bucket || "month";
+    if (!BUCKETS.includes(bucket)) {
+        errors.push({ field: "bucket", message: `bucket must be one of: ${BUCKETS.join(", ")}` });
+    }
+
+    const top = query.top === undefined ? 10 : Number(query.top);
+    if (!Number.isInteger(top) || top < 1) {
+        errors.push({ field: "top", message: "top must be a positive integer" });
+    }
+
+    if (errors.length > 0) return { errors };
+    return { from: query.from || null, to: query.to || null, bucket, top };
+};
+
+const inRange = (expense, from, to) => {
+    const day = String(expense.expense_date).slice(0, 10);
+    return (!from || day >= from) && (!to || day <= to);
+};
+
+const buildReport = (expenses, { from, to, bucket, top }) => {
+    const selected = expenses.filter((expense) => inRange(expense, from, to));
+    const buckets = new Map();
+    const payers = new Map();
+    const consumers = new Map();
+    const products = new Map();
+
+    selected.forEach((expense) => {
+        const key = bucketKey(expense.expense_date, bucket);
+        const entry = buckets.get(key) || { period: key, amount: 0, count: 0 };
+        entry.amount += expense.amount;
+        entry.count += 1;
+        buckets.set(key, entry);
+
+        const payer = payers.get(expense.paid_by.id) || { ...expense.paid_by, amount: 0, count: 0 };
+        payer.amount += expense.amount;
+        payer.count += 1;
+        payers.set(expense.paid_by.id, payer);
+
+        expense.consumers.forEach((consumer) => {
+            const entry = consumers.get(consumer.id) || {
+                id: consumer.id,
+                name: consumer.name,
+                amount: 0,
+                count: 0,
+            };
+            entry.amount += consumer.amount;
+            entry.count += 1;
+            consumers.set(consumer.id, entry);
+        });
+
+        const productKey = String(expense.product_name || "")
+            .trim()
+            .toLowerCase();
+        const product = products.get(productKey) || {
+            product_name: String(expense.product_name || "").trim(),
+            amount: 0,
+            quantity: 0,
+            count: 0,
+        };
+        product.amount += expense.amount;
+        product.quantity += expense.quantity || 0;
+        product.count += 1;
+        products.set(productKey, product);
+    });
+
+    const withRoundedAmount = (entry) => ({ ...entry, amount: roundMoney(entry.amount) });
+    const byAmount = (a, b) => b.amount - a.amount;
+
+    // Month-over-month compares each month in the range with the month before it, even if
+    // that previous month falls outside the range
+    const monthTotals = new Map();
+    expenses.forEach((expense) => {
+        const month = bucketKey(expense.expense_date, "month");
+        monthTotals.set(month, (monthTotals.get(month) || 0) + expense.amount);
+    });
+    const selectedMonths = selected.map((e) => bucketKey(e.expense_date, "month")).sort();
+    const firstMonth = from ? from.slice(0, 7) : selectedMonths[0];
+    const lastMonth = to ? to.slice(0, 7) : selectedMonths[selectedMonths.length - 1];
+    const monthOverMonth =
+        firstMonth && lastMonth
+            ? monthsBetween(firstMonth, lastMonth).map((month) => {
+                  const amount = monthTotals.get(month) || 0;
+                  const previous = monthTotals.get(previousMonth(month)) || 0;
+                  return {
+                      month,
+                      amount: roundMoney(amount),
+                      previous_amount: roundMoney(previous),
+                      delta: roundMoney(amount - previous),
+                      delta_percent:
+                          previous > 0 ? roundMoney(((amount - previous) / previous) * 100) : null,
+                  };
+              })
+            : [];
+
+    return {
+        range: { from, to },
+        bucket,
+        totals: {
+            amount: roundMoney(selected.reduce((sum, e) => sum + e.amount, 0)),
+            count: selected.length,
+        },
+        buckets: [...buckets.values()]
+            .sort((a, b) => a.period.localeCompare(b.period))
+            .map(withRoundedAmount),
+        by_payer: [...payers.values()].sort(byAmount).map(withRoundedAmount),
+        by_consumer: [...consumers.values()].sort(byAmount).map(withRoundedAmount),
+        top_products: {
+            by_amount: [...products.values()].sort(byAmount).slice(0, top).map(withRoundedAmount),
+            by_quantity: [...products.values()]
+                .sort((a, b) => b.quantity - a.quantity || b.amount - a.amount)
+                .slice(0, top)
+                .map(withRoundedAmount),
+        },
+        month_over_month: monthOverMonth,
+    };
+};
+
+module.exports = { BUCKETS, parseReportQuery, buildReport };
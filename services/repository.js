@@ -0,0 +1,1910 @@
+const crypto = require("crypto");
+const { splitTypeOf, normalizeConsumers, allocateShares } = require("./splits");
+const { normalizeEmail } = require("./validation");
+const { publish } = require("./events");
+
+// Domain operations used by the routes, independent of where the rows are stored.
+// The storage driver is selected with STORAGE_DRIVER ("sheets" by default, or "file").
+// A driver exposes getRows(table), addRows(table, records), updateRow(table, id, changes),
+// deleteRow(table, id), ensureInitialized() and testConnection(), plus describeTables(),
+// createTable(table) and addColumns(table, columns) for services/migrations; rows are plain
+// objects whose values are strings, the way Google Sheets returns cells.
+
+const createStore = () => {
+    const driver = (process.env.STORAGE_DRIVER || "sheets").toLowerCase();
+    switch (driver) {
+        case "sheets":
+        case "google-sheets":
+            return require("./sheets");
+        case "file":
+        case "json":
+            return require("./fileStore");
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "sheets" or "file")`);
+    }
+};
+
+// Timestamp format used in every created_at column
+const currentTimestamp = () => new Date().toISOString().slice(0, 19).replace("T", " ");
+
+const nextId = (rows) =>
+    rows.length > 0 ? Math.max(...rows.map((r) => parseInt(r.id) || 0)) + 1 : 1;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Rows written before groups existed have no group_id and belong to the default group,
+// which services/migrations/003-default-group.js creates for data from before groups
+const DEFAULT_GROUP_ID = 1;
+const groupOf = (row) => parseInt(row.group_id) || DEFAULT_GROUP_ID;
+const inGroup = (row, groupId) =>
+    groupId === undefined || groupId === null || groupOf(row) === parseInt(groupId);
+
+const generateInviteCode = () => crypto.randomBytes(6).toString("base64url");
+
+// Consumer rows of one expense, in insertion order
+const consumersOf = (consumers, expenseId) =>
+    consumers
+        .filter((c) => c.expense_id == expenseId)
+        .sort((a, b) => parseInt(a.id) - parseInt(b.id));
+
+// Attachment metadata as returned by the API; files are downloaded through /api/attachments
+const toAttachment = (row) => ({
+    id: parseInt(row.id),
+    expense_id: parseInt(row.expense_id),
+    filename: row.filename,
+    mime_type: row.mime_type,
+    size: parseInt(row.size),
+    url: `/api/attachments/${row.id}`,
+    thumbnail_url: row.thumbnail_key ? `/api/attachments/${row.id}/thumbnail` : null,
+    uploaded_by: parseInt(row.uploaded_by),
+    created_at: row.created_at,
+});
+
+// { id, name } of a referenced user; name is null when the user row no longer exists
+const userRefIn = (users, id) => {
+    const user = users.find((u) => u.id == id);
+    return { id: parseInt(id), name: user ? user.name : null };
+};
+
+// Join an expense row with its payer, consumers, category and attachments
+const toExpense = (expense, { users, consumers, categories, attachments = [] }) => {
+    const expenseId = expense.id;
+    const consumerRows = consumersOf(consumers, expenseId);
+    const shares = allocateShares(expense.amount, consumerRows);
+    const splitType = splitTypeOf(consumerRows);
+    const category = expense.category_id
+        ? categories.find((c) => c.id == expense.category_id)
+        : null;
+    const expenseConsumers = consumerRows.map((c, i) => ({
+        ...userRefIn(users, c.user_id),
+        weight: splitType === "equal" ? 1 : parseFloat(c.weight),
+        amount: shares[i],
+    }));
+
+    return {
+        id: parseInt(expenseId),
+        product_name: expense.product_name,
+        quantity: parseInt(expense.quantity),
+        amount: parseFloat(expense.amount),
+        expense_date: expense.expense_date,
+        note: expense.note,
+        paid_by: userRefIn(users, expense.paid_by),
+        category: category ? { id: parseInt(category.id), name: category.name } : null,
+        recurring_id: expense.recurring_id ? parseInt(expense.recurring_id) : null,
+        group_id: groupOf(expense),
+        split_type: splitType,
+        consumers: expenseConsumers,
+        attachments: attachments
+            .filter((a) => a.expense_id == expenseId)
+            .sort((a, b) => parseInt(a.id) - parseInt(b.id))
+            .map(toAttachment),
+        // Only meaningful when everyone pays the same; see consumers[].amount otherwise. Null
+        // as well when there are no consumer rows (a create that stopped half-way).
+        amount_per_person:
+            splitType === "equal" && expenseConsumers.length > 0
+                ? parseFloat(expense.amount) / expenseConsumers.length
+                : null,
+        // Unknown (null) for expenses recorded before it was stored
+        created_by: optionalInt(expense.created_by),
+        created_at: expense.created_at,
+        updated_at: expense.updated_at || null,
+        deleted_at: expense.deleted_at || null,
+        version: versionOf(expense),
+        // UUID generated by an offline client (see routes/sync), null otherwise
+        client_id: expense.client_id || null,
+    };
+};
+
+// Compact, comparable form of an expense's consumers for the audit log
+const describeConsumers = (consumers) =>
+    JSON.stringify(
+        consumers.map((c) => ({
+            user_id: parseInt(c.user_id),
+            split_type: c.split_type || "equal",
+            weight: c.split_type && c.split_type !== "equal" ? parseFloat(c.weight) : 1,
+        }))
+    );
+
+const EDITABLE_EXPENSE_FIELDS = [
+    "product_name",
+    "quantity",
+    "paid_by",
+    "amount",
+    "expense_date",
+    "note",
+    "category_id",
+];
+
+// Budget usage is flagged once spending reaches this fraction of a category's budget
+const DEFAULT_BUDGET_ALERT_THRESHOLD = parseFloat(process.env.BUDGET_ALERT_THRESHOLD || "0.8");
+
+const RECURRING_FIELDS = [
+    "product_name",
+    "quantity",
+    "paid_by",
+    "amount",
+    "note",
+    "category_id",
+    "split_type",
+    "consumers",
+    "frequency",
+    "day_of_month",
+    "day_of_week",
+    "interval_days",
+    "start_date",
+    "end_date",
+    "active",
+];
+
+// Bumped on every change to an expense; rows written before versions were stored count as 1
+const versionOf = (row) => parseInt(row.version) || 1;
+
+const optionalInt = (value) => (value === "" || value === undefined ? null : parseInt(value));
+
+const toRecurring = (row) => ({
+    id: parseInt(row.id),
+    product_name: row.product_name,
+    quantity: parseInt(row.quantity) || 1,
+    paid_by: parseInt(row.paid_by),
+    amount: parseFloat(row.amount),
+    note: row.note,
+    category_id: optionalInt(row.category_id),
+    split_type: row.split_type || "equal",
+    consumers: row.consumers ? JSON.parse(row.consumers) : [],
+    frequency: row.frequency,
+    day_of_month: optionalInt(row.day_of_month),
+    day_of_week: optionalInt(row.day_of_week),
+    interval_days: optionalInt(row.interval_days),
+    start_date: row.start_date,
+    end_date: row.end_date || null,
+    active: row.active !== "false",
+    last_generated_date: row.last_generated_date || null,
+    group_id: groupOf(row),
+    created_by: optionalInt(row.created_by),
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+});
+
+// Serialize template fields for storage (consumers are kept as JSON in a single cell)
+const toRecurringRow = (data) => {
+    const row = {};
+    RECURRING_FIELDS.forEach((field) => {
+        if (data[field] === undefined) return;
+        if (field === "consumers") row.consumers = JSON.stringify(data.consumers);
+        else if (data[field] === null) row[field] = "";
+        else row[field] = data[field];
+    });
+    return row;
+};
+
+const toCategory = (row) => ({
+    id: parseInt(row.id),
+    name: row.name,
+    color: row.color || null,
+    monthly_budget: row.monthly_budget === "" ? null : parseFloat(row.monthly_budget),
+    alert_threshold: row.alert_threshold === "" ? null : parseFloat(row.alert_threshold),
+    group_id: groupOf(row),
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+});
+
+const shoppingStatusOf = (row) => {
+    if (row.expense_id) return "purchased";
+    return row.checked_at ? "checked" : "open";
+};
+
+const toShoppingItem = (row, users) => ({
+    id: parseInt(row.id),
+    name: row.name,
+    quantity: parseInt(row.quantity) || 1,
+    note: row.note || "",
+    requested_by: userRefIn(users, row.requested_by),
+    consumers: row.consumers ? row.consumers.split(",").map((id) => userRefIn(users, id)) : [],
+    status: shoppingStatusOf(row),
+    checked_at: row.checked_at || null,
+    checked_by: row.checked_by ? userRefIn(users, row.checked_by) : null,
+    expense_id: optionalInt(row.expense_id),
+    purchased_at: row.purchased_at || null,
+    purchased_by: row.purchased_by ? userRefIn(users, row.purchased_by) : null,
+    group_id: groupOf(row),
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+});
+
+const toGroup = (row) => ({
+    id: parseInt(row.id),
+    name: row.name,
+    invite_code: row.invite_code,
+    created_by: parseInt(row.created_by),
+    created_at: row.created_at,
+});
+
+const toUser = (row) => ({
+    id: parseInt(row.id),
+    name: row.name,
+    email: row.email,
+    avatar_url: row.avatar_url || null,
+    color: row.color || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+});
+
+// Members deactivated in a group (e.g. someone who moved out) keep their history and balance
+// there but can no longer be picked for new expenses in it. It does not affect their account
+// or their other groups.
+const toMember = (user, membership) => ({
+    ...toUser(user),
+    role: membership.role,
+    joined_at: membership.joined_at,
+    active: !membership.deactivated_at,
+    deactivated_at: membership.deactivated_at || null,
+});
+
+// Whether a user is an active member of the group whose members are given; former members
+// are not. Without a group (members null) everyone counts as active.
+const isActiveMember = (members, userId) =>
+    !members || members.some((m) => m.id === parseInt(userId) && m.active);
+
+// Members who leave a group keep their membership row, marked left_at (see removeGroupMember)
+const sameMembership = (m, groupId, userId) =>
+    parseInt(m.group_id) === parseInt(groupId) && parseInt(m.user_id) === parseInt(userId);
+
+const findMembership = (memberships, groupId, userId) =>
+    memberships.find((m) => !m.left_at && sameMembership(m, groupId, userId));
+
+const toSession = (row) => ({
+    id: parseInt(row.id),
+    user_id: parseInt(row.user_id),
+    token_hash: row.token_hash,
+    device: row.device,
+    ip: row.ip,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at || null,
+    expires_at: row.expires_at,
+    revoked_at: row.revoked_at || null,
+});
+
+const toWebhook = (row) => ({
+    id: parseInt(row.id),
+    url: row.url,
+    events: row.events ? row.events.split(",") : [],
+    description: row.description || "",
+    active: row.active !== "false",
+    created_by: parseInt(row.created_by),
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+});
+
+const toWebhookDelivery = (row) => ({
+    id: parseInt(row.id),
+    webhook_id: parseInt(row.webhook_id),
+    event_id: row.event_id,
+    event: row.event,
+    status: row.status,
+    attempts: parseInt(row.attempts) || 0,
+    response_status: optionalInt(row.response_status),
+    error: row.error || null,
+    next_attempt_at: row.next_attempt_at || null,
+    created_at: row.created_at,
+    delivered_at: row.delivered_at || null,
+});
+
+class Repository {
+    constructor(store) {
+        this.store = store;
+        this.tableLocks = new Map();
+    }
+
+    // Run task after every earlier task on the same table has settled
+    withTableLock(table, task) {
+        const previous = this.tableLocks.get(table) || Promise.resolve();
+        const run = previous.then(task);
+        // The next task waits for this one whether it succeeds or fails
+        const settled = run.catch(() => {});
+        this.tableLocks.set(table, settled);
+        return run;
+    }
+
+    // Append rows with ids allocated as max(id) + 1. Reading the ids and appending happen
+    // under the table's lock, so concurrent creates in this process never get the same id.
+    // build(startId) returns the records to add, numbered from startId.
+    insertRows(table, build) {
+        return this.withTableLock(table, async () => {
+            const startId = nextId(await this.store.getRows(table));
+            const records = build(startId);
+            await this.store.addRows(table, records);
+            return records;
+        });
+    }
+
+    get driver() {
+        return this.store.driver;
+    }
+
+    testConnection() {
+        return this.store.testConnection();
+    }
+
+    getCacheStats() {
+        return this.store.getCacheStats();
+    }
+
+    getCircuitStats() {
+        return this.store.getCircuitStats();
+    }
+
+    // Users operations
+    async getUsers({ groupId } = {}) {
+        try {
+            if (groupId !== undefined) {
+                return this.getGroupMembers(groupId);
+            }
+            const rows = await this.store.getRows("users");
+            return rows.map(toUser);
+        } catch (error) {
+            console.error("❌ Error getting users:", error);
+            throw error;
+        }
+    }
+
+    // Emails are compared case-insensitively; older rows may have been stored in mixed case
+    async getUserByEmail(email) {
+        try {
+            const rows = await this.store.getRows("users");
+            const userRow = rows.find((row) => normalizeEmail(row.email) === normalizeEmail(email));
+
+            if (!userRow) return null;
+
+            return { ...toUser(userRow), password: userRow.password };
+        } catch (error) {
+            console.error("❌ Error getting user by email:", error);
+            throw error;
+        }
+    }
+
+    async getUserById(id) {
+        try {
+            const rows = await this.store.getRows("users");
+            const userRow = rows.find((row) => parseInt(row.id) === parseInt(id));
+
+            return userRow ? toUser(userRow) : null;
+        } catch (error) {
+            console.error("❌ Error getting user by id:", error);
+            throw error;
+        }
+    }
+
+    // Returns null, without adding anything, when the email is already registered (compared as
+    // in getUserByEmail). The check and the insert happen under the users lock, so two
+    // registrations with the same email never both succeed.
+    async createUser(userData) {
+        try {
+            return await this.withTableLock("users", async () => {
+                const rows = await this.store.getRows("users");
+                const email = normalizeEmail(userData.email);
+                if (rows.some((row) => normalizeEmail(row.email) === email)) return null;
+
+                const row = {
+                    id: nextId(rows),
+                    name: userData.name,
+                    email: userData.email,
+                    password: userData.password,
+                    created_at: currentTimestamp(),
+                };
+                await this.store.addRows("users", [row]);
+
+                return {
+                    id: row.id,
+                    name: row.name,
+                    email: row.email,
+                    created_at: row.created_at,
+                };
+            });
+        } catch (error) {
+            console.error("❌ Error creating user:", error);
+            throw error;
+        }
+    }
+
+    // changes: any of name, email, avatar_url, color
+    // Returns null, without changing anything, when changes.email is already registered to
+    // another user. Like createUser, the check and the update happen under the users lock.
+    async updateUser(id, changes) {
+        try {
+            return await this.withTableLock("users", async () => {
+                if (changes.email) {
+                    const rows = await this.store.getRows("users");
+                    const email = normalizeEmail(changes.email);
+                    const taken = rows.some(
+                        (row) =>
+                            normalizeEmail(row.email) === email &&
+                            parseInt(row.id) !== parseInt(id)
+                    );
+                    if (taken) return null;
+                }
+
+                const row = await this.store.updateRow("users", id, {
+                    ...changes,
+                    updated_at: currentTimestamp(),
+                });
+                return row ? toUser(row) : null;
+            });
+        } catch (error) {
+            console.error("❌ Error updating user:", error);
+            throw error;
+        }
+    }
+
+    // Expenses operations
+    async loadExpenseTables() {
+        const [users, expenses, consumers, categories, attachments] = await Promise.all([
+            this.store.getRows("users"),
+            this.store.getRows("expenses"),
+            this.store.getRows("expense_consumers"),
+            this.store.getRows("categories"),
+            this.store.getRows("attachments"),
+        ]);
+        return { users, expenses, consumers, categories, attachments };
+    }
+
+    async getExpenses({ includeDeleted = false, groupId } = {}) {
+        try {
+            const tables = await this.loadExpenseTables();
+
+            return tables.expenses
+                .filter((expense) => includeDeleted || !expense.deleted_at)
+                .filter((expense) => inGroup(expense, groupId))
+                .map((expense) => toExpense(expense, tables));
+        } catch (error) {
+            console.error("❌ Error getting expenses:", error);
+            throw error;
+        }
+    }
+
+    // Creating an expense takes several writes (expense row, consumer rows, audit entry). With
+    // a client_id, a create that failed half-way can be run again with the same data: it
+    // finds the expense row written before and only adds what is missing, instead of writing
+    // a second expense. Queued and synced creates rely on this.
+    async createExpense(expenseData) {
+        try {
+            // Tạo expense mới
+            const currentTime = currentTimestamp();
+            const { row: expenseRow, resumed } = await this.withTableLock("expenses", async () => {
+                const rows = await this.store.getRows("expenses");
+                const groupId = expenseData.group_id || DEFAULT_GROUP_ID;
+                const existing =
+                    expenseData.client_id &&
+                    rows.find(
+                        (row) => row.client_id === expenseData.client_id && inGroup(row, groupId)
+                    );
+                if (existing) return { row: existing, resumed: true };
+
+                const row = {
+                    id: nextId(rows),
+                    product_name: expenseData.product_name,
+                    quantity: expenseData.quantity,
+                    paid_by: expenseData.paid_by,
+                    amount: expenseData.amount,
+                    expense_date: expenseData.expense_date,
+                    note: expenseData.note || "",
+                    category_id: expenseData.category_id || "",
+                    recurring_id: expenseData.recurring_id || "",
+                    group_id: expenseData.group_id || DEFAULT_GROUP_ID,
+                    created_by: expenseData.created_by || "",
+                    client_id: expenseData.client_id || "",
+                    version: 1,
+                    created_at: currentTime,
+                };
+                await this.store.addRows("expenses", [row]);
+                return { row, resumed: false };
+            });
+            const newExpenseId = parseInt(expenseRow.id);
+            let wrote = !resumed;
+
+            // Thêm consumers
+            const splitType = expenseData.split_type || "equal";
+            const expenseConsumers = normalizeConsumers(expenseData.consumers, splitType);
+            const hasConsumers =
+                resumed &&
+                consumersOf(await this.store.getRows("expense_consumers"), newExpenseId).length > 0;
+            if (!hasConsumers) {
+                await this.addExpenseConsumers(newExpenseId, expenseConsumers, currentTime);
+                wrote = true;
+            }
+
+            const hasAudit =
+                resumed &&
+                (await this.store.getRows("audit_log")).some(
+                    (row) =>
+                        row.entity === "expense" &&
+                        parseInt(row.entity_id) === newExpenseId &&
+                        row.action === "create"
+                );
+            if (expenseData.created_by && !hasAudit) {
+                await this.recordAudit("expense", newExpenseId, expenseData.created_by, [
+                    { action: "create" },
+                ]);
+                wrote = true;
+            }
+            // A create that was already complete is not announced again
+            if (wrote) {
+                publish("expense.created", {
+                    groupId: expenseRow.group_id,
+                    entityId: newExpenseId,
+                    actorId: expenseData.created_by,
+                });
+            }
+
+            return {
+                id: newExpenseId,
+                ...expenseData,
+                split_type: splitType,
+                consumers: expenseConsumers,
+                created_at: expenseRow.created_at,
+            };
+        } catch (error) {
+            console.error("❌ Error creating expense:", error);
+            throw error;
+        }
+    }
+
+    async addExpenseConsumers(expenseId, consumers, currentTime) {
+        await this.insertRows("expense_consumers", (startId) =>
+            consumers.map((consumer, i) => ({
+                id: startId + i,
+                expense_id: expenseId,
+                user_id: consumer.user_id,
+                split_type: consumer.split_type,
+                weight: consumer.weight,
+                created_at: currentTime,
+            }))
+        );
+    }
+
+    async getExpenseById(id, { includeDeleted = false, groupId } = {}) {
+        try {
+            const tables = await this.loadExpenseTables();
+            const expense = tables.expenses.find((e) => parseInt(e.id) === parseInt(id));
+
+            if (!expense || (expense.deleted_at && !includeDeleted)) return null;
+            if (!inGroup(expense, groupId)) return null;
+
+            return toExpense(expense, tables);
+        } catch (error) {
+            console.error("❌ Error getting expense:", error);
+            throw error;
+        }
+    }
+
+    // The expense an offline client created with clientId, deleted or not
+    async getExpenseByClientId(clientId, { groupId } = {}) {
+        try {
+            const tables = await this.loadExpenseTables();
+            const expense = tables.expenses.find(
+                (e) => e.client_id === clientId && inGroup(e, groupId)
+            );
+            return expense ? toExpense(expense, tables) : null;
+        } catch (error) {
+            console.error("❌ Error getting expense by client id:", error);
+            throw error;
+        }
+    }
+
+    // Expenses of a group changed at or after since ("YYYY-MM-DD HH:MM:SS"), or all of them
+    // without since: created and updated ones in full, deleted ones as { id, client_id,
+    // version, deleted_at }. Also returns the time the rows were read, for the next call.
+    async getExpenseChanges({ groupId, since = null } = {}) {
+        try {
+            const readAt = currentTimestamp();
+            const tables = await this.loadExpenseTables();
+            const changes = { created: [], updated: [], deleted: [], read_at: readAt };
+
+            tables.expenses
+                .filter((expense) => inGroup(expense, groupId))
+                .filter((expense) => !since || (expense.updated_at || expense.created_at) >= since)
+                .forEach((expense) => {
+                    if (expense.deleted_at) {
+                        // A client syncing from scratch has nothing to delete
+                        if (!since) return;
+                        changes.deleted.push({
+                            id: parseInt(expense.id),
+                            client_id: expense.client_id || null,
+                            version: versionOf(expense),
+                            deleted_at: expense.deleted_at,
+                        });
+                    } else if (!since || expense.created_at >= since) {
+                        changes.created.push(toExpense(expense, tables));
+                    } else {
+                        changes.updated.push(toExpense(expense, tables));
+                    }
+                });
+
+            return changes;
+        } catch (error) {
+            console.error("❌ Error getting expense changes:", error);
+            throw error;
+        }
+    }
+
+    // Apply changes to an expense and log every field that actually changed.
+    // Passing consumers (and optionally split_type) replaces the whole consumer list.
+    // With expectedVersion nothing changes (and null is returned) unless the expense is still at
+    // that version. The check and the writes happen under the expenses lock, so two updates
+    // never both pass the check.
+    async updateExpense(id, changes, userId, { expectedVersion } = {}) {
+        try {
+            return await this.withTableLock("expenses", async () => {
+                const [expenses, consumers] = await Promise.all([
+                    this.store.getRows("expenses"),
+                    this.store.getRows("expense_consumers"),
+                ]);
+                const expense = expenses.find((e) => parseInt(e.id) === parseInt(id));
+                if (!expense || expense.deleted_at) return null;
+                if (expectedVersion !== undefined && versionOf(expense) !== expectedVersion)
+                    return null;
+
+                const currentTime = currentTimestamp();
+                const auditEntries = [];
+                const rowChanges = {};
+
+                EDITABLE_EXPENSE_FIELDS.forEach((field) => {
+                    if (changes[field] === undefined) return;
+                    const newValue = String(changes[field]);
+                    if (newValue !== expense[field]) {
+                        rowChanges[field] = changes[field];
+                        auditEntries.push({
+                            action: "update",
+                            field,
+                            old_value: expense[field],
+                            new_value: newValue,
+                        });
+                    }
+                });
+
+                let consumerChange = null;
+                if (changes.consumers !== undefined) {
+                    const oldRows = consumersOf(consumers, id);
+                    const splitType = changes.split_type || splitTypeOf(oldRows);
+                    const newConsumers = normalizeConsumers(changes.consumers, splitType);
+                    const oldValue = describeConsumers(oldRows);
+                    const newValue = describeConsumers(newConsumers);
+
+                    if (oldValue !== newValue) {
+                        consumerChange = { oldRows, newConsumers };
+                        auditEntries.push({
+                            action: "update",
+                            field: "consumers",
+                            old_value: oldValue,
+                            new_value: newValue,
+                        });
+                    }
+                }
+
+                if (auditEntries.length > 0) {
+                    // The version moves first so sync pulls see the change even if a later
+                    // write fails
+                    await this.store.updateRow("expenses", id, {
+                        ...rowChanges,
+                        version: versionOf(expense) + 1,
+                        updated_at: currentTime,
+                    });
+                    // New consumer rows go in before the old ones are removed: if this stops
+                    // half-way, the old rows are still there and running the same update
+                    // again replaces all of them
+                    if (consumerChange) {
+                        const { oldRows, newConsumers } = consumerChange;
+                        await this.addExpenseConsumers(parseInt(id), newConsumers, currentTime);
+                        for (const row of oldRows) {
+                            await this.store.deleteRow("expense_consumers", row.id);
+                        }
+                    }
+                    await this.recordAudit("expense", id, userId, auditEntries);
+                    publish("expense.updated", {
+                        groupId: groupOf(expense),
+                        entityId: id,
+                        actorId: userId,
+                    });
+                }
+
+                return this.getExpenseById(id);
+            });
+        } catch (error) {
+            console.error("❌ Error updating expense:", error);
+            throw error;
+        }
+    }
+
+    // Soft delete: the row stays in the sheet so it can be restored and keeps its history.
+    // expectedVersion works as in updateExpense.
+    async deleteExpense(id, userId, { expectedVersion } = {}) {
+        return this.setExpenseDeleted(id, userId, true, { expectedVersion });
+    }
+
+    async restoreExpense(id, userId) {
+        return this.setExpenseDeleted(id, userId, false);
+    }
+
+    async setExpenseDeleted(id, userId, deleted, { expectedVersion } = {}) {
+        try {
+            return await this.withTableLock("expenses", async () => {
+                const expenses = await this.store.getRows("expenses");
+                const expense = expenses.find((e) => parseInt(e.id) === parseInt(id));
+                if (!expense || Boolean(expense.deleted_at) === deleted) return null;
+                if (expectedVersion !== undefined && versionOf(expense) !== expectedVersion)
+                    return null;
+
+                const currentTime = currentTimestamp();
+                await this.store.updateRow("expenses", id, {
+                    deleted_at: deleted ? currentTime : "",
+                    deleted_by: deleted ? userId : "",
+                    version: versionOf(expense) + 1,
+                    updated_at: currentTime,
+                });
+                await this.recordAudit("expense", id, userId, [
+                    { action: deleted ? "delete" : "restore" },
+                ]);
+                publish(deleted ? "expense.deleted" : "expense.restored", {
+                    groupId: groupOf(expense),
+                    entityId: id,
+                    actorId: userId,
+                });
+
+                return this.getExpenseById(id, { includeDeleted: true });
+            });
+        } catch (error) {
+            console.error(`❌ Error ${deleted ? "deleting" : "restoring"} expense:`, error);
+            throw error;
+        }
+    }
+
+    // Attachments operations
+    // files: [{ filename, mime_type, size, storage_key, thumbnail_key }] already in storage
+    async createAttachments(expense, files, userId) {
+        try {
+            const currentTime = currentTimestamp();
+            const rows = await this.insertRows("attachments", (startId) =>
+                files.map((file, i) => ({
+                    id: startId + i,
+                    expense_id: expense.id,
+                    group_id: expense.group_id,
+                    ...file,
+                    uploaded_by: userId,
+                    created_at: currentTime,
+                }))
+            );
+
+            await this.recordAudit(
+                "expense",
+                expense.id,
+                userId,
+                files.map((file) => ({ action: "attach", new_value: file.filename }))
+            );
+            await this.touchExpense(expense.id, userId);
+            return rows.map(toAttachment);
+        } catch (error) {
+            console.error("❌ Error creating attachments:", error);
+            throw error;
+        }
+    }
+
+    // Attachments are part of the expense: a new version lets sync pulls see the change and
+    // makes pushes based on the old version conflict (see updateExpense)
+    async touchExpense(id, userId) {
+        const expense = await this.withTableLock("expenses", async () => {
+            const expenses = await this.store.getRows("expenses");
+            const row = expenses.find((e) => parseInt(e.id) === parseInt(id));
+            if (!row) return null;
+            await this.store.updateRow("expenses", id, {
+                version: versionOf(row) + 1,
+                updated_at: currentTimestamp(),
+            });
+            return row;
+        });
+        if (expense) {
+            publish("expense.updated", {
+                groupId: groupOf(expense),
+                entityId: parseInt(id),
+                actorId: userId,
+            });
+        }
+    }
+
+    // Attachment with its group and storage keys, or null
+    async getAttachmentById(id) {
+        const rows = await this.store.getRows("attachments");
+        const row = rows.find((r) => parseInt(r.id) === parseInt(id));
+        if (!row) return null;
+
+        return {
+            ...toAttachment(row),
+            group_id: groupOf(row),
+            storage_key: row.storage_key,
+            thumbnail_key: row.thumbnail_key,
+        };
+    }
+
+    async deleteAttachment(attachment, userId) {
+        try {
+            await this.store.deleteRow("attachments", attachment.id);
+            await this.recordAudit("expense", attachment.expense_id, userId, [
+                { action: "detach", old_value: attachment.filename },
+            ]);
+            await this.touchExpense(attachment.expense_id, userId);
+        } catch (error) {
+            console.error("❌ Error deleting attachment:", error);
+            throw error;
+        }
+    }
+
+    // The expense or settlement a change event (services/events) is about, as the API
+    // returns it; deleted expenses included
+    async getEventData(event) {
+        if (event.type.startsWith("expense.")) {
+            return this.getExpenseById(event.entity_id, { includeDeleted: true });
+        }
+        if (event.type.startsWith("settlement.")) {
+            const settlements = await this.getSettlements({ groupId: event.group_id });
+            return settlements.find((s) => s.id === event.entity_id) || null;
+        }
+        return null;
+    }
+
+    // Audit log operations
+    async recordAudit(entity, entityId, userId, entries) {
+        const currentTime = currentTimestamp();
+
+        await this.insertRows("audit_log", (startId) =>
+            entries.map((entry, i) => ({
+                id: startId + i,
+                entity,
+                entity_id: entityId,
+                action: entry.action,
+                field: entry.field || "",
+                old_value: entry.old_value ?? "",
+                new_value: entry.new_value ?? "",
+                user_id: userId,
+                created_at: currentTime,
+            }))
+        );
+    }
+
+    async getAuditLog(entity, entityId) {
+        try {
+            const [users, rows] = await Promise.all([
+                this.store.getRows("users"),
+                this.store.getRows("audit_log"),
+            ]);
+
+            return rows
+                .filter((row) => row.entity === entity && row.entity_id == entityId)
+                .map((row) => {
+                    const user = users.find((u) => u.id == row.user_id);
+                    return {
+                        id: parseInt(row.id),
+                        action: row.action,
+                        field: row.field || null,
+                        old_value: row.old_value,
+                        new_value: row.new_value,
+                        user: { id: parseInt(row.user_id), name: user ? user.name : null },
+                        created_at: row.created_at,
+                    };
+                });
+        } catch (error) {
+            console.error("❌ Error getting audit log:", error);
+            throw error;
+        }
+    }
+
+    // Rows that make up a group's balances: expenses that are not deleted and settlements,
+    // optionally only those dated on or before asOf (YYYY-MM-DD)
+    async loadBalanceRows({ groupId, asOf } = {}) {
+        const [users, allExpenses, consumers, allSettlements, members] = await Promise.all([
+            this.store.getRows("users"),
+            this.store.getRows("expenses"),
+            this.store.getRows("expense_consumers"),
+            this.store.getRows("settlements"),
+            groupId === undefined ? null : this.getGroupMembers(groupId),
+        ]);
+        const expenses = allExpenses.filter(
+            (expense) =>
+                inGroup(expense, groupId) &&
+                !expense.deleted_at &&
+                (!asOf || expense.expense_date <= asOf)
+        );
+        const settlements = allSettlements.filter(
+            (settlement) =>
+                inGroup(settlement, groupId) && (!asOf || settlement.settled_date <= asOf)
+        );
+        return { users, expenses, consumers, settlements, members };
+    }
+
+    // Balances now, or with asOf as they stood at the end of that day going by expense_date
+    // and settled_date
+    async calculateBalance({ groupId, asOf } = {}) {
+        try {
+            const {
+                users: allUsers,
+                expenses,
+                consumers,
+                settlements,
+                members,
+            } = await this.loadBalanceRows({ groupId, asOf });
+
+            // A group's balance covers its members plus anyone who still appears in its
+            // expenses or settlements (e.g. after leaving the group)
+            const involvedIds = new Set(members ? members.map((m) => m.id) : []);
+            expenses.forEach((expense) => {
+                involvedIds.add(parseInt(expense.paid_by));
+                consumersOf(consumers, expense.id).forEach((c) =>
+                    involvedIds.add(parseInt(c.user_id))
+                );
+            });
+            settlements.forEach((settlement) => {
+                involvedIds.add(parseInt(settlement.from_user));
+                involvedIds.add(parseInt(settlement.to_user));
+            });
+            const users = members
+                ? allUsers.filter((user) => involvedIds.has(parseInt(user.id)))
+                : allUsers;
+
+            const balances = {};
+
+            // Khởi tạo
+            users.forEach((user) => {
+                const userId = parseInt(user.id);
+                balances[userId] = {
+                    id: userId,
+                    name: user.name,
+                    active: isActiveMember(members, userId),
+                    paid: 0,
+                    owe: 0,
+                    sent: 0,
+                    received: 0,
+                    balance: 0,
+                };
+            });
+
+            // Tính tiền đã chi
+            expenses.forEach((expense) => {
+                const paidBy = parseInt(expense.paid_by);
+                const amount = parseFloat(expense.amount);
+                if (balances[paidBy]) {
+                    balances[paidBy].paid += amount;
+                }
+            });
+
+            // Tính tiền cần trả
+            expenses.forEach((expense) => {
+                const expenseConsumers = consumersOf(consumers, expense.id);
+                const shares = allocateShares(expense.amount, expenseConsumers);
+
+                expenseConsumers.forEach((consumer, i) => {
+                    const userId = parseInt(consumer.user_id);
+                    if (balances[userId]) {
+                        balances[userId].owe += shares[i];
+                    }
+                });
+            });
+
+            // Tiền đã trả lại cho nhau
+            settlements.forEach((settlement) => {
+                const amount = parseFloat(settlement.amount);
+                const fromUser = parseInt(settlement.from_user);
+                const toUser = parseInt(settlement.to_user);
+                if (balances[fromUser]) balances[fromUser].sent += amount;
+                if (balances[toUser]) balances[toUser].received += amount;
+            });
+
+            // Tính số dư
+            Object.values(balances).forEach((entry) => {
+                entry.balance = roundMoney(entry.paid - entry.owe + entry.sent - entry.received);
+                entry.paid = roundMoney(entry.paid);
+                entry.owe = roundMoney(entry.owe);
+                entry.sent = roundMoney(entry.sent);
+                entry.received = roundMoney(entry.received);
+            });
+
+            return Object.values(balances);
+        } catch (error) {
+            console.error("❌ Error calculating balance:", error);
+            throw error;
+        }
+    }
+
+    // Minimal set of transfers that brings every balance to zero: repeatedly match the
+    // largest debtor with the largest creditor. Works in cents to avoid float drift.
+    async suggestSettlements(options = {}) {
+        const balances = await this.calculateBalance(options);
+        const toCents = (entry) => ({
+            id: entry.id,
+            name: entry.name,
+            cents: Math.round(entry.balance * 100),
+        });
+        const creditors = balances.map(toCents).filter((e) => e.cents > 0);
+        const debtors = balances
+            .map(toCents)
+            .filter((e) => e.cents < 0)
+            .map((e) => ({ ...e, cents: -e.cents }));
+        const transfers = [];
+
+        while (creditors.length > 0 && debtors.length > 0) {
+            creditors.sort((a, b) => b.cents - a.cents || a.id - b.id);
+            debtors.sort((a, b) => b.cents - a.cents || a.id - b.id);
+            const creditor = creditors[0];
+            const debtor = debtors[0];
+            const cents = Math.min(creditor.cents, debtor.cents);
+
+            transfers.push({
+                from: { id: debtor.id, name: debtor.name },
+                to: { id: creditor.id, name: creditor.name },
+                amount: cents / 100,
+            });
+
+            creditor.cents -= cents;
+            debtor.cents -= cents;
+            if (creditor.cents === 0) creditors.shift();
+            if (debtor.cents === 0) debtors.shift();
+        }
+
+        return transfers;
+    }
+
+    // Everything that moved one user's balance in a group, oldest first: expenses they paid
+    // for or share in, and settlements they sent or received. amount is the change to their
+    // balance (positive when the group owes them more) and balance the running total, so the
+    // last entry matches calculateBalance. Returns null for users unknown to the group.
+    async getUserLedger(userId, { groupId, asOf } = {}) {
+        try {
+            const { users, expenses, consumers, settlements, members } = await this.loadBalanceRows(
+                { groupId, asOf }
+            );
+            const user = users.find((row) => parseInt(row.id) === userId);
+            if (!user) return null;
+
+            const entries = [];
+            expenses.forEach((expense) => {
+                const expenseConsumers = consumersOf(consumers, expense.id);
+                const shares = allocateShares(expense.amount, expenseConsumers);
+                const index = expenseConsumers.findIndex((c) => parseInt(c.user_id) === userId);
+                const paid = parseInt(expense.paid_by) === userId ? parseFloat(expense.amount) : 0;
+                const share = index === -1 ? 0 : shares[index];
+                if (!paid && index === -1) return;
+
+                entries.push({
+                    type: "expense",
+                    id: parseInt(expense.id),
+                    date: expense.expense_date,
+                    created_at: expense.created_at,
+                    description: expense.product_name,
+                    paid: roundMoney(paid),
+                    share: roundMoney(share),
+                    amount: paid - share,
+                });
+            });
+            settlements.forEach((settlement) => {
+                const fromUser = parseInt(settlement.from_user);
+                const toUser = parseInt(settlement.to_user);
+                if (fromUser !== userId && toUser !== userId) return;
+                const amount = parseFloat(settlement.amount);
+
+                entries.push({
+                    type: "settlement",
+                    id: parseInt(settlement.id),
+                    date: settlement.settled_date,
+                    created_at: settlement.created_at,
+                    description: settlement.note,
+                    from_user: userRefIn(users, fromUser),
+                    to_user: userRefIn(users, toUser),
+                    amount: (fromUser === userId ? amount : 0) - (toUser === userId ? amount : 0),
+                });
+            });
+
+            const isMember = !members || members.some((m) => m.id === userId);
+            if (!isMember && entries.length === 0) return null;
+
+            entries.sort(
+                (a, b) =>
+                    a.date.localeCompare(b.date) ||
+                    String(a.created_at).localeCompare(String(b.created_at)) ||
+                    a.type.localeCompare(b.type) ||
+                    a.id - b.id
+            );
+            let balance = 0;
+            entries.forEach((entry) => {
+                balance += entry.amount;
+                entry.amount = roundMoney(entry.amount);
+                entry.balance = roundMoney(balance);
+                delete entry.created_at;
+            });
+
+            return {
+                user: { id: userId, name: user.name, active: isActiveMember(members, userId) },
+                as_of: asOf || null,
+                balance: roundMoney(balance),
+                entries,
+            };
+        } catch (error) {
+            console.error("❌ Error getting user ledger:", error);
+            throw error;
+        }
+    }
+
+    // Settlements operations
+    async getSettlements({ groupId } = {}) {
+        try {
+            const [users, allSettlements] = await Promise.all([
+                this.store.getRows("users"),
+                this.store.getRows("settlements"),
+            ]);
+            const settlements = allSettlements.filter((s) => inGroup(s, groupId));
+            const userRef = (id) => userRefIn(users, id);
+
+            return settlements.map((settlement) => ({
+                id: parseInt(settlement.id),
+                from_user: userRef(settlement.from_user),
+                to_user: userRef(settlement.to_user),
+                amount: parseFloat(settlement.amount),
+                settled_date: settlement.settled_date,
+                note: settlement.note,
+                created_by: parseInt(settlement.created_by),
+                created_at: settlement.created_at,
+            }));
+        } catch (error) {
+            console.error("❌ Error getting settlements:", error);
+            throw error;
+        }
+    }
+
+    async createSettlement(settlementData) {
+        try {
+            const currentTime = currentTimestamp();
+            const [row] = await this.insertRows("settlements", (id) => [
+                {
+                    id,
+                    from_user: settlementData.from_user,
+                    to_user: settlementData.to_user,
+                    amount: settlementData.amount,
+                    settled_date: settlementData.settled_date,
+                    note: settlementData.note || "",
+                    created_by: settlementData.created_by,
+                    group_id: settlementData.group_id || DEFAULT_GROUP_ID,
+                    created_at: currentTime,
+                },
+            ]);
+            publish("settlement.recorded", {
+                groupId: row.group_id,
+                entityId: row.id,
+                actorId: settlementData.created_by,
+            });
+
+            return { id: row.id, ...settlementData, created_at: currentTime };
+        } catch (error) {
+            console.error("❌ Error creating settlement:", error);
+            throw error;
+        }
+    }
+
+    // Recurring expense templates
+    async getRecurringExpenses({ groupId } = {}) {
+        try {
+            const rows = await this.store.getRows("recurring_expenses");
+            return rows.filter((row) => inGroup(row, groupId)).map(toRecurring);
+        } catch (error) {
+            console.error("❌ Error getting recurring expenses:", error);
+            throw error;
+        }
+    }
+
+    async getRecurringExpenseById(id, { groupId } = {}) {
+        const templates = await this.getRecurringExpenses({ groupId });
+        return templates.find((t) => t.id === parseInt(id)) || null;
+    }
+
+    async createRecurringExpense(templateData) {
+        try {
+            const [row] = await this.insertRows("recurring_expenses", (id) => [
+                {
+                    ...toRecurringRow({ active: true, ...templateData }),
+                    id,
+                    group_id: templateData.group_id || DEFAULT_GROUP_ID,
+                    created_by: templateData.created_by,
+                    created_at: currentTimestamp(),
+                },
+            ]);
+
+            return this.getRecurringExpenseById(row.id);
+        } catch (error) {
+            console.error("❌ Error creating recurring expense:", error);
+            throw error;
+        }
+    }
+
+    async updateRecurringExpense(id, changes) {
+        try {
+            const row = await this.store.updateRow("recurring_expenses", id, {
+                ...toRecurringRow(changes),
+                ...(changes.last_generated_date !== undefined && {
+                    last_generated_date: changes.last_generated_date || "",
+                }),
+                updated_at: currentTimestamp(),
+            });
+            return row ? toRecurring(row) : null;
+        } catch (error) {
+            console.error("❌ Error updating recurring expense:", error);
+            throw error;
+        }
+    }
+
+    async deleteRecurringExpense(id) {
+        try {
+            return await this.store.deleteRow("recurring_expenses", id);
+        } catch (error) {
+            console.error("❌ Error deleting recurring expense:", error);
+            throw error;
+        }
+    }
+
+    // Dates already materialized for a template, including soft-deleted occurrences so a
+    // deleted occurrence is not generated again. An occurrence whose create stopped half-way
+    // (no consumers yet) is left out so it gets finished; that needs its client_id, so older
+    // rows without one count as done.
+    async getRecurringOccurrenceDates(recurringId) {
+        const [expenses, consumers] = await Promise.all([
+            this.store.getRows("expenses"),
+            this.store.getRows("expense_consumers"),
+        ]);
+        return new Set(
+            expenses
+                .filter((e) => e.recurring_id == recurringId)
+                .filter((e) => !e.client_id || consumersOf(consumers, e.id).length > 0)
+                .map((e) => e.expense_date)
+        );
+    }
+
+    // Categories operations
+    async getCategories({ groupId } = {}) {
+        try {
+            const rows = await this.store.getRows("categories");
+            return rows.filter((row) => inGroup(row, groupId)).map(toCategory);
+        } catch (error) {
+            console.error("❌ Error getting categories:", error);
+            throw error;
+        }
+    }
+
+    async getCategoryById(id, { groupId } = {}) {
+        const categories = await this.getCategories({ groupId });
+        return categories.find((c) => c.id === parseInt(id)) || null;
+    }
+
+    async createCategory(categoryData) {
+        try {
+            const currentTime = currentTimestamp();
+            const [row] = await this.insertRows("categories", (id) => [
+                {
+                    id,
+                    name: categoryData.name,
+                    color: categoryData.color || "",
+                    monthly_budget: categoryData.monthly_budget ?? "",
+                    alert_threshold: categoryData.alert_threshold ?? "",
+                    group_id: categoryData.group_id || DEFAULT_GROUP_ID,
+                    created_at: currentTime,
+                },
+            ]);
+
+            return this.getCategoryById(row.id);
+        } catch (error) {
+            console.error("❌ Error creating category:", error);
+            throw error;
+        }
+    }
+
+    async updateCategory(id, changes) {
+        try {
+            const row = await this.store.updateRow("categories", id, {
+                ...changes,
+                updated_at: currentTimestamp(),
+            });
+            return row ? toCategory(row) : null;
+        } catch (error) {
+            console.error("❌ Error updating category:", error);
+            throw error;
+        }
+    }
+
+    async deleteCategory(id) {
+        try {
+            return await this.store.deleteRow("categories", id);
+        } catch (error) {
+            console.error("❌ Error deleting category:", error);
+            throw error;
+        }
+    }
+
+    // Spending per category in a month ("YYYY-MM") against its monthly budget
+    async getBudgetUsage(month, { groupId } = {}) {
+        try {
+            const [categories, expenses] = await Promise.all([
+                this.getCategories({ groupId }),
+                this.store.getRows("expenses"),
+            ]);
+
+            return categories.map((category) => {
+                const spent = expenses
+                    .filter(
+                        (e) =>
+                            !e.deleted_at &&
+                            e.category_id == category.id &&
+                            String(e.expense_date).slice(0, 7) === month
+                    )
+                    .reduce((sum, e) => sum + parseFloat(e.amount), 0);
+                const budget = category.monthly_budget;
+                const threshold = category.alert_threshold ?? DEFAULT_BUDGET_ALERT_THRESHOLD;
+                const usage = budget ? spent / budget : null;
+
+                return {
+                    category: { id: category.id, name: category.name },
+                    month,
+                    budget,
+                    spent: roundMoney(spent),
+                    remaining: budget === null ? null : roundMoney(budget - spent),
+                    usage_percent: usage === null ? null : roundMoney(usage * 100),
+                    alert_threshold: threshold,
+                    over_threshold: usage !== null && usage >= threshold,
+                    over_budget: usage !== null && usage > 1,
+                };
+            });
+        } catch (error) {
+            console.error("❌ Error getting budget usage:", error);
+            throw error;
+        }
+    }
+
+    // Budget alert for a just-saved expense: returned only when this expense pushed its
+    // category across the alert threshold or over the budget
+    async checkBudgetAlert(expense) {
+        if (!expense.category_id) return null;
+
+        const month = String(expense.expense_date).slice(0, 7);
+        const usage = (await this.getBudgetUsage(month, { groupId: expense.group_id })).find(
+            (u) => u.category.id === parseInt(expense.category_id)
+        );
+        if (!usage || usage.budget === null) return null;
+
+        const before = (usage.spent - expense.amount) / usage.budget;
+        const after = usage.spent / usage.budget;
+        const crossedThreshold = before < usage.alert_threshold && after >= usage.alert_threshold;
+        const crossedBudget = before <= 1 && after > 1;
+
+        if (!crossedThreshold && !crossedBudget) return null;
+
+        return { ...usage, level: crossedBudget ? "over_budget" : "threshold" };
+    }
+
+    // Shopping list operations
+    async getShoppingItems({ groupId } = {}) {
+        try {
+            const [users, rows] = await Promise.all([
+                this.store.getRows("users"),
+                this.store.getRows("shopping_items"),
+            ]);
+            return rows
+                .filter((row) => inGroup(row, groupId))
+                .map((row) => toShoppingItem(row, users));
+        } catch (error) {
+            console.error("❌ Error getting shopping items:", error);
+            throw error;
+        }
+    }
+
+    async getShoppingItemById(id, { groupId } = {}) {
+        const items = await this.getShoppingItems({ groupId });
+        return items.find((item) => item.id === parseInt(id)) || null;
+    }
+
+    async createShoppingItem({ group_id, name, quantity, note, requested_by, consumers }) {
+        try {
+            const [row] = await this.insertRows("shopping_items", (id) => [
+                {
+                    id,
+                    group_id: group_id || DEFAULT_GROUP_ID,
+                    name,
+                    quantity: quantity || 1,
+                    note: note || "",
+                    requested_by,
+                    consumers: consumers.join(","),
+                    created_at: currentTimestamp(),
+                },
+            ]);
+            return this.getShoppingItemById(row.id);
+        } catch (error) {
+            console.error("❌ Error creating shopping item:", error);
+            throw error;
+        }
+    }
+
+    // changes may hold name, quantity, note and consumers (user ids)
+    async updateShoppingItem(id, changes) {
+        try {
+            const rowChanges = { ...changes, updated_at: currentTimestamp() };
+            if (changes.consumers) rowChanges.consumers = changes.consumers.join(",");
+            const row = await this.store.updateRow("shopping_items", id, rowChanges);
+            return row ? this.getShoppingItemById(id) : null;
+        } catch (error) {
+            console.error("❌ Error updating shopping item:", error);
+            throw error;
+        }
+    }
+
+    // Check an item off (keeping who checked it first) or back on. Runs under the shopping
+    // list's lock like purchases; a purchased item is returned unchanged.
+    async setShoppingItemChecked(id, checked, userId) {
+        try {
+            return await this.withTableLock("shopping_items", async () => {
+                const rows = await this.store.getRows("shopping_items");
+                const row = rows.find((r) => parseInt(r.id) === parseInt(id));
+                if (!row) return null;
+                const status = shoppingStatusOf(row);
+                if (status === "purchased" || (status === "checked") === checked)
+                    return this.getShoppingItemById(id);
+
+                await this.store.updateRow("shopping_items", id, {
+                    checked_at: checked ? currentTimestamp() : "",
+                    checked_by: checked ? userId : "",
+                    updated_at: currentTimestamp(),
+                });
+                return this.getShoppingItemById(id);
+            });
+        } catch (error) {
+            console.error("❌ Error checking shopping item:", error);
+            throw error;
+        }
+    }
+
+    async deleteShoppingItem(id) {
+        try {
+            return await this.store.deleteRow("shopping_items", id);
+        } catch (error) {
+            console.error("❌ Error deleting shopping item:", error);
+            throw error;
+        }
+    }
+
+    // Record one expense for checked-off items and mark them purchased. Runs under the
+    // shopping list's lock so two buyers cannot turn the same items into two expenses; returns
+    // null, without creating anything, if an item is no longer checked off and unpurchased.
+    // With an expenseData.client_id identifying the request, a purchase that failed half-way
+    // is completed by running it again, and items it already marked purchased are accepted
+    // instead of refused.
+    async purchaseShoppingItems(ids, expenseData) {
+        try {
+            return await this.withTableLock("shopping_items", async () => {
+                const [rows, expenses] = await Promise.all([
+                    this.store.getRows("shopping_items"),
+                    this.store.getRows("expenses"),
+                ]);
+                const earlier = expenses.find(
+                    (e) =>
+                        expenseData.client_id &&
+                        e.client_id === expenseData.client_id &&
+                        inGroup(e, expenseData.group_id)
+                );
+                const purchasable = (row) =>
+                    shoppingStatusOf(row) === "checked" ||
+                    (earlier && parseInt(row.expense_id) === parseInt(earlier.id));
+                const items = ids.map((id) => rows.find((row) => parseInt(row.id) === id));
+                if (items.some((row) => !row || !purchasable(row))) return null;
+
+                const created = await this.createExpense(expenseData);
+                const currentTime = currentTimestamp();
+                for (const row of items.filter((item) => !item.expense_id)) {
+                    await this.store.updateRow("shopping_items", row.id, {
+                        expense_id: created.id,
+                        purchased_at: currentTime,
+                        purchased_by: expenseData.paid_by,
+                        updated_at: currentTime,
+                    });
+                }
+
+                const users = await this.store.getRows("users");
+                const updated = await this.store.getRows("shopping_items");
+                return {
+                    expense: await this.getExpenseById(created.id),
+                    items: updated
+                        .filter((row) => ids.includes(parseInt(row.id)))
+                        .map((row) => toShoppingItem(row, users)),
+                };
+            });
+        } catch (error) {
+            console.error("❌ Error purchasing shopping items:", error);
+            throw error;
+        }
+    }
+
+    // Groups operations
+    async getUserGroups(userId) {
+        try {
+            const [groups, members] = await Promise.all([
+                this.store.getRows("groups"),
+                this.store.getRows("group_members"),
+            ]);
+
+            return members
+                .filter((m) => !m.left_at && parseInt(m.user_id) === parseInt(userId))
+                .map((m) => {
+                    const group = groups.find((g) => g.id == m.group_id);
+                    return group && { ...toGroup(group), role: m.role, active: !m.deactivated_at };
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.error("❌ Error getting user groups:", error);
+            throw error;
+        }
+    }
+
+    async getGroupById(id) {
+        const groups = await this.store.getRows("groups");
+        const group = groups.find((g) => parseInt(g.id) === parseInt(id));
+        return group ? toGroup(group) : null;
+    }
+
+    async getGroupByInviteCode(code) {
+        const groups = await this.store.getRows("groups");
+        const group = groups.find((g) => g.invite_code && g.invite_code === code);
+        return group ? toGroup(group) : null;
+    }
+
+    async getGroupMembers(groupId) {
+        try {
+            const [users, members] = await Promise.all([
+                this.store.getRows("users"),
+                this.store.getRows("group_members"),
+            ]);
+
+            return members
+                .filter((m) => !m.left_at && parseInt(m.group_id) === parseInt(groupId))
+                .map((m) => {
+                    const user = users.find((u) => u.id == m.user_id);
+                    return user && toMember(user, m);
+                })
+                .filter(Boolean)
+                .sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.error("❌ Error getting group members:", error);
+            throw error;
+        }
+    }
+
+    // Id 1 is the default group, which rows from before groups belong to; only migration 003
+    // creates it, so a group created before that migration has run cannot take over those rows
+    async createGroup({ name, created_by }) {
+        try {
+            const [row] = await this.insertRows("groups", (id) => [
+                {
+                    id: Math.max(id, DEFAULT_GROUP_ID + 1),
+                    name,
+                    invite_code: generateInviteCode(),
+                    created_by,
+                    created_at: currentTimestamp(),
+                },
+            ]);
+            await this.addGroupMember(row.id, created_by, "owner");
+
+            return this.getGroupById(row.id);
+        } catch (error) {
+            console.error("❌ Error creating group:", error);
+            throw error;
+        }
+    }
+
+    async addGroupMember(groupId, userId, role = "member") {
+        await this.insertRows("group_members", (id) => [
+            {
+                id,
+                group_id: groupId,
+                user_id: userId,
+                role,
+                joined_at: currentTimestamp(),
+            },
+        ]);
+    }
+
+    // Join a group with an invite code. Someone who left the group gets their membership back
+    // with the role and deactivation it had, so leaving and rejoining can neither raise a
+    // viewer to member nor reactivate a deactivated member. Returns { role, active }, or null
+    // if they are already a member. Runs under the group_members lock, so concurrent joins
+    // never add the same member twice.
+    async joinGroup(groupId, userId) {
+        try {
+            return await this.withTableLock("group_members", async () => {
+                const rows = await this.store.getRows("group_members");
+                if (findMembership(rows, groupId, userId)) return null;
+
+                const earlier = rows.find((m) => sameMembership(m, groupId, userId));
+                if (earlier) {
+                    await this.store.updateRow("group_members", earlier.id, {
+                        left_at: "",
+                        joined_at: currentTimestamp(),
+                    });
+                    return { role: earlier.role, active: !earlier.deactivated_at };
+                }
+
+                await this.store.addRows("group_members", [
+                    {
+                        id: nextId(rows),
+                        group_id: groupId,
+                        user_id: userId,
+                        role: "member",
+                        joined_at: currentTimestamp(),
+                    },
+                ]);
+                return { role: "member", active: true };
+            });
+        } catch (error) {
+            console.error("❌ Error joining group:", error);
+            throw error;
+        }
+    }
+
+    async setMemberRole(groupId, userId, role) {
+        try {
+            const members = await this.store.getRows("group_members");
+            const membership = findMembership(members, groupId, userId);
+            if (!membership) return false;
+
+            await this.store.updateRow("group_members", membership.id, { role });
+            return true;
+        } catch (error) {
+            console.error("❌ Error setting member role:", error);
+            throw error;
+        }
+    }
+
+    // Deactivate or reactivate a member of one group; returns the member, or null if they are
+    // not in the group. Their account, sessions and other groups are left alone.
+    async setMemberActive(groupId, userId, active, actorId) {
+        try {
+            const members = await this.store.getRows("group_members");
+            const membership = findMembership(members, groupId, userId);
+            if (!membership) return null;
+
+            await this.store.updateRow("group_members", membership.id, {
+                deactivated_at: active ? "" : currentTimestamp(),
+                deactivated_by: active ? "" : actorId,
+            });
+            await this.recordAudit("group_member", membership.id, actorId, [
+                { action: active ? "reactivate" : "deactivate" },
+            ]);
+            const updated = await this.getGroupMembers(groupId);
+            return updated.find((m) => m.id === parseInt(userId)) || null;
+        } catch (error) {
+            console.error(`❌ Error ${active ? "reactivating" : "deactivating"} member:`, error);
+            throw error;
+        }
+    }
+
+    // Leave a group. The membership row is kept, marked left, for joinGroup to restore.
+    async removeGroupMember(groupId, userId) {
+        const members = await this.store.getRows("group_members");
+        const membership = findMembership(members, groupId, userId);
+        if (!membership) return false;
+        await this.store.updateRow("group_members", membership.id, { left_at: currentTimestamp() });
+        return true;
+    }
+
+    // Issue a new invite code; the previous one stops working
+    async regenerateInviteCode(groupId) {
+        const row = await this.store.updateRow("groups", groupId, {
+            invite_code: generateInviteCode(),
+        });
+        return row ? toGroup(row) : null;
+    }
+
+    // Sessions (one per signed-in device, see services/tokens)
+    async createSession({ user_id, token_hash, device, ip, expires_at }) {
+        try {
+            const [row] = await this.insertRows("sessions", (id) => [
+                {
+                    id,
+                    user_id,
+                    token_hash,
+                    device: device || "",
+                    ip: ip || "",
+                    created_at: currentTimestamp(),
+                    last_used_at: currentTimestamp(),
+                    expires_at,
+                    revoked_at: "",
+                },
+            ]);
+            return toSession(row);
+        } catch (error) {
+            console.error("❌ Error creating session:", error);
+            throw error;
+        }
+    }
+
+    async getSessionById(id) {
+        const rows = await this.store.getRows("sessions");
+        const row = rows.find((r) => parseInt(r.id) === parseInt(id));
+        return row ? toSession(row) : null;
+    }
+
+    // Sessions of a user that are neither revoked nor expired, most recently used first
+    async getActiveSessions(userId) {
+        const now = currentTimestamp();
+        const rows = await this.store.getRows("sessions");
+        return rows
+            .map(toSession)
+            .filter((s) => s.user_id === parseInt(userId) && !s.revoked_at && s.expires_at > now)
+            .sort((a, b) => String(b.last_used_at).localeCompare(String(a.last_used_at)));
+    }
+
+    async rotateSessionToken(id, tokenHash, { expires_at, ip }) {
+        const row = await this.store.updateRow("sessions", id, {
+            token_hash: tokenHash,
+            last_used_at: currentTimestamp(),
+            expires_at,
+            ...(ip && { ip }),
+        });
+        return row ? toSession(row) : null;
+    }
+
+    async revokeSession(id) {
+        const row = await this.store.updateRow("sessions", id, { revoked_at: currentTimestamp() });
+        return row ? toSession(row) : null;
+    }
+
+    // Revoke every active session of a user; returns how many were revoked
+    async revokeUserSessions(userId) {
+        const sessions = await this.getActiveSessions(userId);
+        for (const session of sessions) {
+            await this.revokeSession(session.id);
+        }
+        return sessions.length;
+    }
+
+    // Storage metadata (see services/migrations); values are strings, null when unset
+    async getMetadata(key) {
+        const rows = await this.store.getRows("metadata");
+        const row = rows.find((r) => r.key === key);
+        return row ? row.value : null;
+    }
+
+    async setMetadata(key, value) {
+        const rows = await this.store.getRows("metadata");
+        const row = rows.find((r) => r.key === key);
+        const changes = { key, value: String(value), updated_at: currentTimestamp() };
+
+        if (row) {
+            await this.store.updateRow("metadata", row.id, changes);
+        } else {
+            await this.insertRows("metadata", (id) => [{ id, ...changes }]);
+        }
+    }
+
+    // Webhook subscriptions (see services/webhooks)
+    async getWebhooks({ groupId } = {}) {
+        const rows = await this.store.getRows("webhooks");
+        return rows.filter((row) => inGroup(row, groupId)).map(toWebhook);
+    }
+
+    // Webhook including its signing secret, or null
+    async getWebhookById(id, { groupId } = {}) {
+        const rows = await this.store.getRows("webhooks");
+        const row = rows.find((r) => parseInt(r.id) === parseInt(id) && inGroup(r, groupId));
+        return row ? { ...toWebhook(row), group_id: groupOf(row), secret: row.secret } : null;
+    }
+
+    async createWebhook({ group_id, url, events, secret, description, active, created_by }) {
+        try {
+            const [row] = await this.insertRows("webhooks", (id) => [
+                {
+                    id,
+                    group_id,
+                    url,
+                    events: events.join(","),
+                    secret,
+                    description: description || "",
+                    active: String(active !== false),
+                    created_by,
+                    created_at: currentTimestamp(),
+                },
+            ]);
+            return toWebhook(row);
+        } catch (error) {
+            console.error("❌ Error creating webhook:", error);
+            throw error;
+        }
+    }
+
+    async updateWebhook(id, changes) {
+        try {
+            const rowChanges = { ...changes, updated_at: currentTimestamp() };
+            if (changes.events) rowChanges.events = changes.events.join(",");
+            if (changes.active !== undefined) rowChanges.active = String(changes.active);
+
+            const row = await this.store.updateRow("webhooks", id, rowChanges);
+            return row ? toWebhook(row) : null;
+        } catch (error) {
+            console.error("❌ Error updating webhook:", error);
+            throw error;
+        }
+    }
+
+    async deleteWebhook(id) {
+        try {
+            await this.store.deleteRow("webhooks", id);
+        } catch (error) {
+            console.error("❌ Error deleting webhook:", error);
+            throw error;
+        }
+    }
+
+    // Delivery log. records: [{ webhook_id, event_id, event, payload, next_attempt_at }]
+    async createWebhookDeliveries(records) {
+        try {
+            const currentTime = currentTimestamp();
+            const rows = await this.insertRows("webhook_deliveries", (startId) =>
+                records.map((record, i) => ({
+                    id: startId + i,
+                    ...record,
+                    status: "pending",
+                    attempts: 0,
+                    created_at: currentTime,
+                }))
+            );
+            return rows.map((row) => ({ ...toWebhookDelivery(row), payload: row.payload }));
+        } catch (error) {
+            console.error("❌ Error creating webhook deliveries:", error);
+            throw error;
+        }
+    }
+
+    async updateWebhookDelivery(id, changes) {
+        const row = await this.store.updateRow("webhook_deliveries", id, changes);
+        return row ? toWebhookDelivery(row) : null;
+    }
+
+    // Latest deliveries of a webhook first
+    async getWebhookDeliveries(webhookId, { status, limit = 50 } = {}) {
+        const rows = await this.store.getRows("webhook_deliveries");
+        return rows
+            .filter((row) => parseInt(row.webhook_id) === parseInt(webhookId))
+            .filter((row) => !status || row.status === status)
+            .map(toWebhookDelivery)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    }
+
+    // Pending deliveries whose next attempt is due, with their payloads, oldest first
+    async getDueWebhookDeliveries() {
+        const now = currentTimestamp();
+        const rows = await this.store.getRows("webhook_deliveries");
+        return rows
+            .filter((row) => row.status === "pending" && row.next_attempt_at <= now)
+            .map((row) => ({ ...toWebhookDelivery(row), payload: row.payload }));
+    }
+}
+
+module.exports = new Repository(createStore());
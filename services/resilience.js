@@ -0,0 +1,160 @@
+// Retries with exponential backoff and a circuit breaker for calls to an external service.
+// Only transient failures (rate limiting, server errors, network problems) are retried or
+// counted by the breaker; anything else fails the same way on every attempt.
+
+const TRANSIENT_NETWORK_CODES = [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "EPIPE",
+    "ERR_NETWORK",
+];
+
+// Thrown when the service is known to be down (circuit open) or kept failing after retries
+class ServiceUnavailableError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = "ServiceUnavailableError";
+        this.code = "SERVICE_UNAVAILABLE";
+        this.cause = cause;
+    }
+}
+
+const statusOf = (error) => {
+    const status = (error.response && error.response.status) || error.status;
+    return Number.isInteger(status) ? status : null;
+};
+
+const isTransientError = (error) => {
+    if (error instanceof ServiceUnavailableError) return true;
+    const status = statusOf(error);
+    if (status !== null) return status === 408 || status === 429 || status >= 500;
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+};
+
+const isUnavailableError = (error) => Boolean(error) && error.code === "SERVICE_UNAVAILABLE";
+
+// "Full jitter": a random delay up to the exponential backoff for this attempt
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) =>
+    Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run operation, retrying transient failures up to `retries` more times. A Retry-After
+// header from the server is honoured when it asks for a longer wait than the backoff.
+const withRetry = async (
+    operation,
+    { retries = 4, baseDelayMs = 500, maxDelayMs = 8000, label = "operation" } = {}
+) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!isTransientError(error) || attempt >= retries) throw error;
+
+            const retryAfterMs = parseFloat(error.response?.headers?.["retry-after"]) * 1000 || 0;
+            const delay = Math.max(backoffDelay(attempt, baseDelayMs, maxDelayMs), retryAfterMs);
+            console.warn(
+                `⚠️ ${label} failed (${statusOf(error) || error.code || error.message}), ` +
+                    `retry ${attempt + 1}/${retries} in ${delay}ms`
+            );
+            await sleep(delay);
+        }
+    }
+};
+
+// Stops calling a failing service for a cool-down period.
+//   closed    - calls go through; failureThreshold transient failures in a row open the circuit
+//   open      - calls fail immediately with ServiceUnavailableError until cooldownMs has passed
+//   half-open - one trial call is let through; success closes the circuit, failure reopens it
+class CircuitBreaker {
+    constructor({ name, failureThreshold = 3, cooldownMs = 30000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.state = "closed";
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    // True while calls are being refused without trying
+    isOpen() {
+        return this.state === "open" && Date.now() - this.openedAt < this.cooldownMs;
+    }
+
+    async exec(operation) {
+        if (this.isOpen()) {
+            throw new ServiceUnavailableError(`${this.name} is unavailable (circuit open)`);
+        }
+        if (this.state === "open") this.state = "half-open";
+        const isTrial = this.state === "half-open";
+        if (isTrial) {
+            if (this.trialInFlight) {
+                throw new ServiceUnavailableError(
+                    `${this.name} is unavailable (circuit half-open)`
+                );
+            }
+            this.trialInFlight = true;
+        }
+
+        try {
+            const result = await operation();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (!isTransientError(error)) {
+                // The service answered, so it is up
+                this.onSuccess();
+                throw error;
+            }
+            this.onFailure(error);
+            throw isUnavailableError(error)
+                ? error
+                : new ServiceUnavailableError(
+                      `${this.name} is unavailable: ${error.message}`,
+                      error
+                  );
+        } finally {
+            if (isTrial) this.trialInFlight = false;
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== "closed") console.log(`✅ ${this.name} circuit closed`);
+        this.state = "closed";
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    onFailure(error) {
+        this.failures++;
+        this.lastError = error.message;
+        if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+            if (this.state !== "open") console.warn(`🔌 ${this.name} circuit opened`);
+            this.state = "open";
+            this.openedAt = Date.now();
+        }
+    }
+
+    getStats() {
+        return {
+            state: this.state,
+            consecutive_failures: this.failures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            last_error: this.lastError,
+        };
+    }
+}
+
+module.exports = {
+    ServiceUnavailableError,
+    isTransientError,
+    isUnavailableError,
+    withRetry,
+    CircuitBreaker,
+};
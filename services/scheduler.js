@@ -0,0 +1,128 @@
+const repository = require("./repository");
+const { today, addDays, occurrencesBetween } = require("./recurrence");
+const { normalizeConsumers } = require("./splits");
+const { memberErrors } = require("../middleware/group");
+
+// Materializes due occurrences of recurring expense templates through createExpense.
+// Each run catches up every occurrence since the template's last_generated_date, so runs
+// missed while the instance was asleep are filled in on the next run. Occurrences that
+// already exist (matched by recurring_id + expense_date) are skipped, which keeps runs
+// idempotent even if a previous run stopped half-way. A template that fails is logged and
+// retried on the next run without holding up the others; that includes a template whose payer
+// or consumers have left the group or been deactivated in it since it was saved.
+class RecurringScheduler {
+    constructor() {
+        this.timer = null;
+        // Run in progress per scope: a group id, or "all" for the scheduled run
+        this.running = new Map();
+        this.lastRun = null;
+    }
+
+    start(intervalMinutes = parseInt(process.env.RECURRING_INTERVAL_MINUTES) || 60) {
+        if (this.timer) return;
+
+        console.log(`⏰ Recurring expense scheduler started (every ${intervalMinutes} min)`);
+        this.run().catch(() => {});
+        this.timer = setInterval(() => this.run().catch(() => {}), intervalMinutes * 60 * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Generate due occurrences of every group's templates, or only of groupId's. Concurrent
+    // callers with the same scope share the run in progress instead of generating twice; runs
+    // of overlapping scopes cannot double an occurrence either, as each one is created with a
+    // fixed client_id.
+    run({ asOf = today(), groupId } = {}) {
+        const scope = groupId === undefined ? "all" : groupId;
+        if (!this.running.has(scope)) {
+            this.running.set(
+                scope,
+                this.materialize(asOf, groupId).finally(() => this.running.delete(scope))
+            );
+        }
+        return this.running.get(scope);
+    }
+
+    async materialize(asOf, groupId) {
+        const created = [];
+        const failed = [];
+        // lastRun describes the scheduled runs over every group
+        const record = (result) => {
+            if (groupId === undefined) this.lastRun = { at: new Date().toISOString(), ...result };
+        };
+        try {
+            const templates = await repository.getRecurringExpenses({ groupId });
+
+            for (const template of templates.filter((t) => t.active)) {
+                try {
+                    created.push(...(await this.materializeTemplate(template, asOf)));
+                } catch (error) {
+                    console.error(`❌ Recurring expense ${template.id} failed:`, error.message);
+                    failed.push({ template_id: template.id, error: error.message });
+                }
+            }
+
+            record({ as_of: asOf, created: created.length, failed });
+            if (created.length > 0) {
+                console.log(`⏰ Generated ${created.length} recurring expense(s)`);
+            }
+            return created;
+        } catch (error) {
+            console.error("❌ Recurring expense run failed:", error.message);
+            record({ as_of: asOf, error: error.message });
+            throw error;
+        }
+    }
+
+    async materializeTemplate(template, asOf) {
+        const from = template.last_generated_date
+            ? addDays(template.last_generated_date, 1)
+            : template.start_date;
+        const dates = occurrencesBetween(template, from, asOf);
+        if (dates.length === 0) return [];
+
+        const errors = await memberErrors(template.group_id, {
+            paid_by: [template.paid_by],
+            consumers: normalizeConsumers(template.consumers, template.split_type).map(
+                (consumer) => consumer.user_id
+            ),
+        });
+        if (errors.length > 0) {
+            throw new Error(errors.map((error) => error.message).join("; "));
+        }
+
+        const existing = await repository.getRecurringOccurrenceDates(template.id);
+        const created = [];
+
+        for (const date of dates) {
+            if (!existing.has(date)) {
+                const expense = await repository.createExpense({
+                    product_name: template.product_name,
+                    quantity: template.quantity,
+                    paid_by: template.paid_by,
+                    amount: template.amount,
+                    expense_date: date,
+                    note: template.note,
+                    category_id: template.category_id,
+                    split_type: template.split_type,
+                    consumers: template.consumers,
+                    recurring_id: template.id,
+                    // Same for every run, so a create that failed half-way is finished next time
+                    client_id: `recurring-${template.id}-${date}`,
+                    group_id: template.group_id,
+                    created_by: template.created_by,
+                });
+                created.push(expense);
+            }
+            await repository.updateRecurringExpense(template.id, { last_generated_date: date });
+        }
+
+        return created;
+    }
+}
+
+module.exports = new RecurringScheduler();
@@ -0,0 +1,169 @@
+// Header row of every table, shared by all storage drivers
+const TABLES = {
+    users: ["id", "name", "email", "password", "created_at", "avatar_url", "color", "updated_at"],
+    expenses: [
+        "id",
+        "product_name",
+        "quantity",
+        "paid_by",
+        "amount",
+        "expense_date",
+        "note",
+        "created_at",
+        "updated_at",
+        "deleted_at",
+        "deleted_by",
+        "category_id",
+        "recurring_id",
+        "group_id",
+        "created_by",
+        "version",
+        "client_id",
+    ],
+    expense_consumers: ["id", "expense_id", "user_id", "created_at", "split_type", "weight"],
+    settlements: [
+        "id",
+        "from_user",
+        "to_user",
+        "amount",
+        "settled_date",
+        "note",
+        "created_by",
+        "group_id",
+        "created_at",
+    ],
+    categories: [
+        "id",
+        "name",
+        "color",
+        "monthly_budget",
+        "alert_threshold",
+        "group_id",
+        "created_at",
+        "updated_at",
+    ],
+    recurring_expenses: [
+        "id",
+        "product_name",
+        "quantity",
+        "paid_by",
+        "amount",
+        "note",
+        "category_id",
+        "split_type",
+        "consumers",
+        "frequency",
+        "day_of_month",
+        "day_of_week",
+        "interval_days",
+        "start_date",
+        "end_date",
+        "active",
+        "last_generated_date",
+        "group_id",
+        "created_by",
+        "created_at",
+        "updated_at",
+    ],
+    groups: ["id", "name", "invite_code", "created_by", "created_at"],
+    group_members: [
+        "id",
+        "group_id",
+        "user_id",
+        "role",
+        "joined_at",
+        "deactivated_at",
+        "deactivated_by",
+        "left_at",
+    ],
+    audit_log: [
+        "id",
+        "entity",
+        "entity_id",
+        "action",
+        "field",
+        "old_value",
+        "new_value",
+        "user_id",
+        "created_at",
+    ],
+    // Receipt files; storage_key/thumbnail_key locate the files in services/attachmentStorage
+    attachments: [
+        "id",
+        "expense_id",
+        "group_id",
+        "filename",
+        "mime_type",
+        "size",
+        "storage_key",
+        "thumbnail_key",
+        "uploaded_by",
+        "created_at",
+    ],
+    // One row per signed-in device; token_hash is the SHA-256 of the current refresh token
+    sessions: [
+        "id",
+        "user_id",
+        "token_hash",
+        "device",
+        "ip",
+        "created_at",
+        "last_used_at",
+        "expires_at",
+        "revoked_at",
+    ],
+    // Outgoing webhook subscriptions; events is a comma-separated list of event types
+    webhooks: [
+        "id",
+        "group_id",
+        "url",
+        "events",
+        "secret",
+        "description",
+        "active",
+        "created_by",
+        "created_at",
+        "updated_at",
+    ],
+    // One row per event sent to a webhook; payload is the exact JSON body that was signed
+    webhook_deliveries: [
+        "id",
+        "webhook_id",
+        "event_id",
+        "event",
+        "payload",
+        "status",
+        "attempts",
+        "response_status",
+        "error",
+        "next_attempt_at",
+        "created_at",
+        "delivered_at",
+    ],
+    // Shared shopping list; consumers is a comma-separated list of user ids. An item is open,
+    // then checked off (checked_at), then purchased (expense_id of the expense it went into).
+    shopping_items: [
+        "id",
+        "group_id",
+        "name",
+        "quantity",
+        "note",
+        "requested_by",
+        "consumers",
+        "checked_at",
+        "checked_by",
+        "expense_id",
+        "purchased_at",
+        "purchased_by",
+        "created_at",
+        "updated_at",
+    ],
+    // Key/value settings of the storage itself, e.g. schema_version (see services/migrations)
+    metadata: ["id", "key", "value", "updated_at"],
+};
+
+// Tables whose sheets must exist before the app reads them (a missing one means the wrong
+// spreadsheet); the schema bootstrap in services/migrations creates them in a new spreadsheet
+const REQUIRED_TABLES = ["users", "expenses", "expense_consumers"];
+
+module.exports = { TABLES, REQUIRED_TABLES };
@@ -1,11 +1,62 @@
 const { GoogleSpreadsheet } = require("google-spreadsheet");
 const { JWT } = require("google-auth-library");
+const { TABLES, REQUIRED_TABLES } = require("./schema");
+const {
+    CircuitBreaker,
+    ServiceUnavailableError,
+    isUnavailableError,
+    withRetry,
+} = require("./resilience");
 
 class SheetsService {
     constructor() {
+        this.driver = "google-sheets";
         this.doc = null;
         this.isInitialized = false;
         this.serviceAccountAuth = null;
+        this.checkedSheets = new Set();
+
+        // Read cache: table -> { rows: GoogleSpreadsheetRow[], loadedAt }. Writes made through
+        // this service update the cached rows in place; the TTL picks up manual edits made
+        // directly in the spreadsheet.
+        this.cache = new Map();
+        this.pendingLoads = new Map();
+        this.cacheTtlMs = (parseInt(process.env.SHEETS_CACHE_TTL_SECONDS) || 60) * 1000;
+        this.cacheStats = { hits: 0, misses: 0, stale_hits: 0, invalidations: 0 };
+
+        // Every Google API request goes through the breaker, so an outage fails fast instead of
+        // every request waiting out its own retries. Reads are retried on 429/5xx; writes are
+        // not, since a write whose response was lost may already have happened (appending the
+        // rows again, or deleting whatever row has moved into the old one's place). Failed
+        // writes go up to the caller; the write queue and createExpense's client_id resume
+        // recover from them.
+        this.retryOptions = {
+            retries: parseInt(process.env.SHEETS_MAX_RETRIES ?? 4),
+            baseDelayMs: 500,
+            maxDelayMs: 8000,
+        };
+        this.breaker = new CircuitBreaker({
+            name: "Google Sheets",
+            failureThreshold: parseInt(process.env.SHEETS_BREAKER_THRESHOLD) || 3,
+            cooldownMs: (parseInt(process.env.SHEETS_BREAKER_COOLDOWN_SECONDS) || 30) * 1000,
+        });
+        this.initializing = null;
+    }
+
+    call(label, operation, { retry = true } = {}) {
+        return this.breaker.exec(() =>
+            retry
+                ? withRetry(operation, { ...this.retryOptions, label: `Google Sheets ${label}` })
+                : operation()
+        );
+    }
+
+    write(label, operation) {
+        return this.call(label, operation, { retry: false });
+    }
+
+    getCircuitStats() {
+        return this.breaker.getStats();
     }
 
     // Clean và format private key để tránh lỗi DECODER
@@ -121,7 +172,7 @@ class SheetsService {
             );
 
             console.log("📊 Loading spreadsheet info...");
-            await this.doc.loadInfo();
+            await this.call("loadInfo", () => this.doc.loadInfo());
 
             this.isInitialized = true;
             console.log(`✅ Connected to spreadsheet: "${this.doc.title}"`);
@@ -136,11 +187,20 @@ class SheetsService {
         }
     }
 
-    // Ensure service is initialized before operations
+    // Ensure service is initialized before operations. Concurrent requests share one
+    // init() and, while the circuit is open, fail fast instead of initializing again.
     async ensureInitialized() {
-        if (!this.isInitialized) {
-            await this.init();
+        if (this.isInitialized) return;
+        if (this.breaker.isOpen()) {
+            throw new ServiceUnavailableError("Google Sheets is unavailable (circuit open)");
         }
+
+        if (!this.initializing) {
+            this.initializing = this.init().finally(() => {
+                this.initializing = null;
+            });
+        }
+        await this.initializing;
     }
 
     // Test connection method
@@ -165,271 +225,207 @@ class SheetsService {
         }
     }
 
-    // Users operations
-    async getUsers() {
-        await this.ensureInitialized();
-        try {
-            const sheet = this.doc.sheetsByTitle["users"];
-            if (!sheet) {
-                throw new Error(
-                    "Users sheet not found. Please check your Google Sheets structure."
-                );
-            }
-
-            const rows = await sheet.getRows();
-            return rows.map((row) => ({
-                id: parseInt(row.get("id")),
-                name: row.get("name"),
-                email: row.get("email"),
-                created_at: row.get("created_at"),
-            }));
-        } catch (error) {
-            console.error("❌ Error getting users:", error);
-            throw error;
+    // Return the worksheet for a table, or null if an optional table has not been created yet
+    getSheet(table) {
+        const sheet = this.doc.sheetsByTitle[table];
+        if (!sheet && REQUIRED_TABLES.includes(table)) {
+            throw new Error(
+                `Missing required sheet: ${table}. Please check your Google Sheets structure.`
+            );
         }
+        return sheet || null;
     }
 
-    async getUserByEmail(email) {
+    // Create a missing sheet, or append header columns added to the schema since it was created
+    async ensureSheet(table) {
         await this.ensureInitialized();
-        try {
-            const sheet = this.doc.sheetsByTitle["users"];
-            if (!sheet) {
-                throw new Error(
-                    "Users sheet not found. Please check your Google Sheets structure."
-                );
-            }
-
-            const rows = await sheet.getRows();
-            const userRow = rows.find((row) => row.get("email") === email);
+        let sheet = this.getSheet(table);
+
+        if (!sheet) {
+            sheet = await this.createTable(table);
+        } else if (!this.checkedSheets.has(table)) {
+            const headerValues = await this.loadHeaders(sheet);
+            const missing = TABLES[table].filter((h) => !headerValues.includes(h));
+            if (missing.length > 0) await this.addColumns(table, missing);
+        }
 
-            if (!userRow) return null;
+        this.checkedSheets.add(table);
+        return sheet;
+    }
 
-            return {
-                id: parseInt(userRow.get("id")),
-                name: userRow.get("name"),
-                email: userRow.get("email"),
-                password: userRow.get("password"),
-                created_at: userRow.get("created_at"),
-            };
+    // Header row of a sheet; [] for a sheet that has no header row yet
+    async loadHeaders(sheet) {
+        try {
+            await this.call("loadHeaderRow", () => sheet.loadHeaderRow());
+            return sheet.headerValues;
         } catch (error) {
-            console.error("❌ Error getting user by email:", error);
+            if (/no values in the header row/i.test(error.message)) return [];
             throw error;
         }
     }
 
-    async createUser(userData) {
+    // Header columns of every schema table that has a sheet, e.g. { users: ["id", ...] }
+    async describeTables() {
         await this.ensureInitialized();
-        try {
-            const sheet = this.doc.sheetsByTitle["users"];
-            if (!sheet) {
-                throw new Error(
-                    "Users sheet not found. Please check your Google Sheets structure."
-                );
-            }
+        const tables = {};
+        for (const table of Object.keys(TABLES)) {
+            const sheet = this.doc.sheetsByTitle[table];
+            if (sheet) tables[table] = await this.loadHeaders(sheet);
+        }
+        return tables;
+    }
 
-            const rows = await sheet.getRows();
-            const newId =
-                rows.length > 0 ? Math.max(...rows.map((r) => parseInt(r.get("id")))) + 1 : 1;
+    async createTable(table) {
+        await this.ensureInitialized();
+        console.log(`📄 Creating sheet "${table}"`);
+        const sheet = await this.write("addSheet", () =>
+            this.doc.addSheet({ title: table, headerValues: TABLES[table] })
+        );
+        this.checkedSheets.add(table);
+        return sheet;
+    }
 
-            const newRow = await sheet.addRow({
-                id: newId,
-                name: userData.name,
-                email: userData.email,
-                password: userData.password,
-                created_at: new Date().toISOString().slice(0, 19).replace("T", " "),
-            });
+    // Append columns to the end of a sheet's header row
+    async addColumns(table, columns) {
+        await this.ensureInitialized();
+        const sheet = this.getSheet(table);
+        const headerValues = [...(await this.loadHeaders(sheet)), ...columns];
 
-            return {
-                id: newId,
-                name: userData.name,
-                email: userData.email,
-                created_at: newRow.get("created_at"),
-            };
-        } catch (error) {
-            console.error("❌ Error creating user:", error);
-            throw error;
+        console.log(`📄 Adding columns to "${table}": ${columns.join(", ")}`);
+        if (sheet.columnCount < headerValues.length) {
+            await this.call("resize", () =>
+                sheet.resize({ rowCount: sheet.rowCount, columnCount: headerValues.length })
+            );
         }
+        await this.call("setHeaderRow", () => sheet.setHeaderRow(headerValues));
+        // Cached rows were read with the old header row
+        this.invalidateCache(table);
     }
 
-    // Expenses operations
-    async getExpenses() {
-        await this.ensureInitialized();
-        try {
-            const [usersSheet, expensesSheet, consumersSheet] = [
-                this.doc.sheetsByTitle["users"],
-                this.doc.sheetsByTitle["expenses"],
-                this.doc.sheetsByTitle["expense_consumers"],
-            ];
-
-            // Validate sheets exist
-            if (!usersSheet || !expensesSheet || !consumersSheet) {
-                const missingSheets = [];
-                if (!usersSheet) missingSheets.push("users");
-                if (!expensesSheet) missingSheets.push("expenses");
-                if (!consumersSheet) missingSheets.push("expense_consumers");
-                throw new Error(`Missing required sheets: ${missingSheets.join(", ")}`);
-            }
+    // Convert a GoogleSpreadsheetRow into a plain record keyed by the table's columns
+    toRecord(table, row) {
+        const headerValues = row._worksheet.headerValues;
+        const columns = new Set([...(TABLES[table] || []), ...headerValues]);
+        const record = {};
+        columns.forEach((column) => {
+            const value = headerValues.includes(column) ? row.get(column) : undefined;
+            record[column] = value === undefined || value === null ? "" : String(value);
+        });
+        return record;
+    }
 
-            const [users, expenses, consumers] = await Promise.all([
-                usersSheet.getRows(),
-                expensesSheet.getRows(),
-                consumersSheet.getRows(),
-            ]);
-
-            return expenses.map((expense) => {
-                const expenseId = expense.get("id");
-                const paidBy = users.find((u) => u.get("id") == expense.get("paid_by"));
-                const expenseConsumers = consumers
-                    .filter((c) => c.get("expense_id") == expenseId)
-                    .map((c) => {
-                        const user = users.find((u) => u.get("id") == c.get("user_id"));
-                        return { id: parseInt(user.get("id")), name: user.get("name") };
-                    });
+    // Rows of a sheet, served from the cache while fresh. Concurrent misses share one request.
+    // While Google Sheets is unavailable the last cached rows are served even if stale.
+    async loadRows(table, sheet) {
+        const cached = this.cache.get(table);
+        if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+            this.cacheStats.hits++;
+            return cached.rows;
+        }
 
-                return {
-                    id: parseInt(expenseId),
-                    product_name: expense.get("product_name"),
-                    quantity: parseInt(expense.get("quantity")),
-                    amount: parseFloat(expense.get("amount")),
-                    expense_date: expense.get("expense_date"),
-                    note: expense.get("note"),
-                    paid_by: { id: parseInt(paidBy.get("id")), name: paidBy.get("name") },
-                    consumers: expenseConsumers,
-                    amount_per_person: parseFloat(expense.get("amount")) / expenseConsumers.length,
-                    created_at: expense.get("created_at"),
-                };
-            });
-        } catch (error) {
-            console.error("❌ Error getting expenses:", error);
-            throw error;
+        if (!this.pendingLoads.has(table)) {
+            this.cacheStats.misses++;
+            const load = this.call("getRows", () => sheet.getRows())
+                .then((rows) => {
+                    this.cache.set(table, { rows, loadedAt: Date.now() });
+                    return rows;
+                })
+                .catch((error) => {
+                    const stale = this.cache.get(table);
+                    if (!stale || !isUnavailableError(error)) throw error;
+                    this.cacheStats.stale_hits++;
+                    return stale.rows;
+                })
+                .finally(() => this.pendingLoads.delete(table));
+            this.pendingLoads.set(table, load);
         }
+        return this.pendingLoads.get(table);
     }
 
-    async createExpense(expenseData) {
-        await this.ensureInitialized();
-        try {
-            const expensesSheet = this.doc.sheetsByTitle["expenses"];
-            const consumersSheet = this.doc.sheetsByTitle["expense_consumers"];
+    // Drop cached rows of one table, or of every table
+    invalidateCache(table) {
+        this.cacheStats.invalidations++;
+        if (table) this.cache.delete(table);
+        else this.cache.clear();
+    }
 
-            if (!expensesSheet || !consumersSheet) {
-                throw new Error("Required sheets (expenses, expense_consumers) not found");
-            }
+    getCacheStats() {
+        const lookups = this.cacheStats.hits + this.cacheStats.misses;
+        const tables = {};
+        this.cache.forEach((entry, table) => {
+            tables[table] = {
+                rows: entry.rows.length,
+                age_seconds: Math.round((Date.now() - entry.loadedAt) / 1000),
+            };
+        });
+
+        return {
+            ttl_seconds: this.cacheTtlMs / 1000,
+            ...this.cacheStats,
+            hit_rate: lookups > 0 ? Math.round((this.cacheStats.hits / lookups) * 100) / 100 : null,
+            tables,
+        };
+    }
 
-            // Tạo expense mới
-            const expenseRows = await expensesSheet.getRows();
-            const newExpenseId =
-                expenseRows.length > 0
-                    ? Math.max(...expenseRows.map((r) => parseInt(r.get("id")))) + 1
-                    : 1;
-
-            const currentTime = new Date().toISOString().slice(0, 19).replace("T", " ");
-            await expensesSheet.addRow({
-                id: newExpenseId,
-                product_name: expenseData.product_name,
-                quantity: expenseData.quantity,
-                paid_by: expenseData.paid_by,
-                amount: expenseData.amount,
-                expense_date: expenseData.expense_date,
-                note: expenseData.note || "",
-                created_at: currentTime,
-            });
+    async getRows(table) {
+        await this.ensureInitialized();
+        const sheet = this.getSheet(table);
+        if (!sheet) return [];
 
-            // Thêm consumers
-            const consumerRows = await consumersSheet.getRows();
-            const startConsumerId =
-                consumerRows.length > 0
-                    ? Math.max(...consumerRows.map((r) => parseInt(r.get("id")))) + 1
-                    : 1;
-
-            for (let i = 0; i < expenseData.consumers.length; i++) {
-                await consumersSheet.addRow({
-                    id: startConsumerId + i,
-                    expense_id: newExpenseId,
-                    user_id: expenseData.consumers[i],
-                    created_at: currentTime,
-                });
-            }
+        const rows = await this.loadRows(table, sheet);
+        return rows.map((row) => this.toRecord(table, row));
+    }
 
-            return { id: newExpenseId, ...expenseData, created_at: currentTime };
+    // One batched append per call, however many records; new rows are added to the cache
+    async addRows(table, records) {
+        if (records.length === 0) return;
+        const sheet = await this.ensureSheet(table);
+        try {
+            const newRows = await this.write("addRows", () => sheet.addRows(records));
+            const cached = this.cache.get(table);
+            if (cached) cached.rows.push(...newRows);
         } catch (error) {
-            console.error("❌ Error creating expense:", error);
+            // The append may have partly succeeded; reload on next read
+            this.invalidateCache(table);
             throw error;
         }
     }
 
-    async calculateBalance() {
-        await this.ensureInitialized();
-        try {
-            const [usersSheet, expensesSheet, consumersSheet] = [
-                this.doc.sheetsByTitle["users"],
-                this.doc.sheetsByTitle["expenses"],
-                this.doc.sheetsByTitle["expense_consumers"],
-            ];
-
-            if (!usersSheet || !expensesSheet || !consumersSheet) {
-                throw new Error("Required sheets not found for balance calculation");
-            }
-
-            const [users, expenses, consumers] = await Promise.all([
-                usersSheet.getRows(),
-                expensesSheet.getRows(),
-                consumersSheet.getRows(),
-            ]);
-
-            const balances = {};
-
-            // Khởi tạo
-            users.forEach((user) => {
-                const userId = parseInt(user.get("id"));
-                balances[userId] = {
-                    id: userId,
-                    name: user.get("name"),
-                    paid: 0,
-                    owe: 0,
-                    balance: 0,
-                };
-            });
+    async findRow(table, id) {
+        const sheet = await this.ensureSheet(table);
+        const rows = await this.loadRows(table, sheet);
+        return rows.find((row) => row.get("id") == id) || null;
+    }
 
-            // Tính tiền đã chi
-            expenses.forEach((expense) => {
-                const paidBy = parseInt(expense.get("paid_by"));
-                const amount = parseFloat(expense.get("amount"));
-                if (balances[paidBy]) {
-                    balances[paidBy].paid += amount;
-                }
-            });
+    async updateRow(table, id, changes) {
+        const row = await this.findRow(table, id);
+        if (!row) return null;
 
-            // Tính tiền cần trả
-            expenses.forEach((expense) => {
-                const expenseId = expense.get("id");
-                const amount = parseFloat(expense.get("amount"));
-                const expenseConsumers = consumers.filter((c) => c.get("expense_id") == expenseId);
-
-                if (expenseConsumers.length > 0) {
-                    const amountPerPerson = amount / expenseConsumers.length;
-
-                    expenseConsumers.forEach((consumer) => {
-                        const userId = parseInt(consumer.get("user_id"));
-                        if (balances[userId]) {
-                            balances[userId].owe += amountPerPerson;
-                        }
-                    });
-                }
-            });
+        row.assign(changes);
+        try {
+            await this.write("save", () => row.save());
+        } catch (error) {
+            // The cached row already holds the unsaved values
+            this.invalidateCache(table);
+            throw error;
+        }
+        return this.toRecord(table, row);
+    }
 
-            // Tính số dư
-            Object.keys(balances).forEach((userId) => {
-                balances[userId].balance =
-                    Math.round((balances[userId].paid - balances[userId].owe) * 100) / 100;
-                balances[userId].paid = Math.round(balances[userId].paid * 100) / 100;
-                balances[userId].owe = Math.round(balances[userId].owe * 100) / 100;
-            });
+    async deleteRow(table, id) {
+        const row = await this.findRow(table, id);
+        if (!row) return false;
 
-            return Object.values(balances);
+        try {
+            await this.write("delete", () => row.delete());
         } catch (error) {
-            console.error("❌ Error calculating balance:", error);
+            this.invalidateCache(table);
             throw error;
         }
+
+        const cached = this.cache.get(table);
+        if (cached) cached.rows = cached.rows.filter((r) => r !== row);
+        return true;
     }
 }
 
@@ -0,0 +1,102 @@
+// How an expense amount is divided between its consumers.
+//   equal   - everyone pays the same (weight is always 1)
+//   shares  - proportional to each consumer's weight, e.g. 2 portions vs 1, a kid as 0.5
+//   percent - weight is a percentage, all percentages must add up to 100
+//   exact   - weight is the exact amount, all amounts must add up to the expense amount
+const SPLIT_TYPES = ["equal", "shares", "percent", "exact"];
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+// Split type of stored consumer rows; rows written before splits existed are equal splits
+const splitTypeOf = (consumers) => (consumers.length > 0 && consumers[0].split_type) || "equal";
+
+// Accept consumers as a list of user ids or of { user_id, weight | share | percent | amount }
+// objects and return [{ user_id, split_type, weight }]
+const normalizeConsumers = (consumers, splitType = "equal") =>
+    (consumers || []).map((consumer) => {
+        if (typeof consumer !== "object" || consumer === null) {
+            return { user_id: parseInt(consumer), split_type: splitType, weight: 1 };
+        }
+
+        const weight =
+            splitType === "equal"
+                ? 1
+                : consumer.weight ?? consumer.share ?? consumer.percent ?? consumer.amount;
+
+        return {
+            user_id: parseInt(consumer.user_id ?? consumer.id),
+            split_type: splitType,
+            weight: parseFloat(weight),
+        };
+    });
+
+// Return an error message for an invalid split, or null when it is valid
+const validateSplit = (amount, splitType, consumers) => {
+    if (!SPLIT_TYPES.includes(splitType)) {
+        return `split_type must be one of: ${SPLIT_TYPES.join(", ")}`;
+    }
+    if (consumers.some((c) => Number.isNaN(c.user_id))) {
+        return "Every consumer needs a user_id";
+    }
+    if (new Set(consumers.map((c) => c.user_id)).size !== consumers.length) {
+        return "A user can only appear once in consumers";
+    }
+    if (consumers.some((c) => !Number.isFinite(c.weight) || c.weight < 0)) {
+        return "Consumer weights must be non-negative numbers";
+    }
+
+    const total = consumers.reduce((sum, c) => sum + c.weight, 0);
+
+    if (splitType === "shares" && total <= 0) {
+        return "At least one consumer needs a positive share";
+    }
+    if (splitType === "percent" && Math.abs(total - 100) > 0.001) {
+        return `Percentages must add up to 100 (got ${total})`;
+    }
+    if (splitType === "exact") {
+        const totalCents = consumers.reduce((sum, c) => sum + toCents(c.weight), 0);
+        if (totalCents !== toCents(amount)) {
+            return `Exact amounts must add up to ${amount} (got ${totalCents / 100})`;
+        }
+    }
+
+    return null;
+};
+
+// Divide amount between consumer rows, returning each consumer's share in the same order.
+// Shares are computed in cents; leftover cents go to the largest fractional remainders,
+// ties resolved by position, so the result always sums to the amount and never changes.
+const allocateShares = (amount, consumers) => {
+    if (consumers.length === 0) return [];
+
+    const totalCents = toCents(amount);
+    const splitType = splitTypeOf(consumers);
+
+    if (splitType === "exact") {
+        return consumers.map((c) => toCents(c.weight) / 100);
+    }
+
+    const weights = consumers.map((c) =>
+        splitType === "equal" || c.weight === "" || c.weight === undefined
+            ? 1
+            : parseFloat(c.weight)
+    );
+    const weightSum = weights.reduce((sum, w) => sum + w, 0) || 1;
+    const exact = weights.map((w) => (totalCents * w) / weightSum);
+    const cents = exact.map(Math.floor);
+    let remainder = totalCents - cents.reduce((sum, c) => sum + c, 0);
+
+    exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                cents[index] += 1;
+                remainder -= 1;
+            }
+        });
+
+    return cents.map((c) => c / 100);
+};
+
+module.exports = { SPLIT_TYPES, splitTypeOf, normalizeConsumers, validateSplit, allocateShares };
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const repository = require("./repository");
+
+// Access tokens are short-lived JWTs naming the user and the session (device) they belong to.
+// Refresh tokens are random strings "<session id>.<secret>" of which only a SHA-256 hash is
+// stored. Every refresh replaces the stored hash, so each refresh token works once; seeing
+// an already-used one means it was copied, and the whole session is revoked.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const sameHash = (a, b) =>
+    a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Same "YYYY-MM-DD HH:MM:SS" format as created_at columns, so expiry compares as text
+const refreshExpiry = () =>
+    new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000)
+        .toISOString()
+        .slice(0, 19)
+        .replace("T", " ");
+
+const clientInfo = (req) => ({
+    device: String(req.get("User-Agent") || "").slice(0, 200),
+    ip: req.ip,
+});
+
+const issueTokens = (userId, sessionId, secret) => {
+    const token = jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+        token,
+        token_type: "Bearer",
+        expires_in: exp - iat,
+        refresh_token: `${sessionId}.${secret}`,
+    };
+};
+
+// Sign a user in on a new device
+const startSession = async (userId, req) => {
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const session = await repository.createSession({
+        user_id: userId,
+        token_hash: hashToken(secret),
+        expires_at: refreshExpiry(),
+        ...clientInfo(req),
+    });
+    return issueTokens(userId, session.id, secret);
+};
+
+// Check a refresh token against its session and replace it; run under the sessions lock
+const rotateRefreshToken = async (sessionId, secret, req) => {
+    const session = await repository.getSessionById(sessionId);
+    if (!session || session.revoked_at) {
+        return { error: "Invalid refresh token" };
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace("T", " ");
+    if (session.expires_at <= now) {
+        return { error: "Refresh token expired" };
+    }
+    if (!sameHash(hashToken(secret), session.token_hash)) {
+        console.warn(`⚠️ Refresh token reuse on session ${session.id}, revoking it`);
+        await repository.revokeSession(session.id);
+        return { error: "Refresh token was already used; please sign in again" };
+    }
+
+    const newSecret = crypto.randomBytes(32).toString("base64url");
+    await repository.rotateSessionToken(session.id, hashToken(newSecret), {
+        expires_at: refreshExpiry(),
+        ip: req.ip,
+    });
+    return { userId: session.user_id, tokens: issueTokens(session.user_id, session.id, newSecret) };
+};
+
+// Exchange a refresh token for new tokens. Returns { userId, tokens } or { error }.
+// Checking the hash and rotating it happen under the sessions lock, so of two refreshes with
+// the same token only the first succeeds and the second is caught as reuse.
+const refreshSession = (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken).split(".");
+    if (!secret || !/^\d+$/.test(sessionId)) {
+        return Promise.resolve({ error: "Invalid refresh token" });
+    }
+    return repository.withTableLock("sessions", () => rotateRefreshToken(sessionId, secret, req));
+};
+
+module.exports = { startSession, refreshSession };
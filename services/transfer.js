@@ -0,0 +1,332 @@
+const crypto = require("crypto");
+const ExcelJS = require("exceljs");
+const { toCsv, parseCsv } = require("./csv");
+const { isIsoDate, foldText } = require("./expenseQuery");
+const { normalizeConsumers, validateSplit } = require("./splits");
+
+// Export tables and CSV import for expenses. A table is { name, columns, rows } where rows
+// are arrays in column order, so the same data can be written as CSV or XLSX.
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+// One row per expense; consumers are flattened into a readable list plus one share column
+// per user so the export can be summed directly in a spreadsheet
+const expensesTable = (expenses, users) => ({
+    name: "expenses",
+    columns: [
+        "id",
+        "expense_date",
+        "product_name",
+        "quantity",
+        "amount",
+        "paid_by",
+        "category",
+        "split_type",
+        "consumers",
+        "note",
+        "created_at",
+        ...users.map((u) => `share: ${u.name}`),
+    ],
+    rows: expenses.map((expense) => [
+        expense.id,
+        expense.expense_date,
+        expense.product_name,
+        expense.quantity,
+        expense.amount,
+        expense.paid_by.name,
+        expense.category ? expense.category.name : "",
+        expense.split_type,
+        expense.consumers.map((c) => `${c.name} (${c.amount})`).join("; "),
+        expense.note,
+        expense.created_at,
+        ...users.map((u) => {
+            const consumer = expense.consumers.find((c) => c.id === u.id);
+            return consumer ? consumer.amount : 0;
+        }),
+    ]),
+});
+
+const balancesTable = (balances) => ({
+    name: "balances",
+    columns: ["id", "name", "paid", "owe", "sent", "received", "balance"],
+    rows: balances.map((b) => [b.id, b.name, b.paid, b.owe, b.sent, b.received, b.balance]),
+});
+
+const tableToCsv = (table) => toCsv([table.columns, ...table.rows]);
+
+const tableToXlsx = async (table) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet(table.name);
+
+    sheet.addRow(table.columns).font = { bold: true };
+    // Cells are typed, so text is never run as a formula (unlike CSV, see services/csv)
+    table.rows.forEach((row) => sheet.addRow(row));
+    sheet.columns.forEach((column, i) => {
+        const width = Math.max(
+            ...[table.columns, ...table.rows].map((r) => String(r[i] ?? "").length)
+        );
+        column.width = Math.min(Math.max(width + 2, 8), 50);
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+    return workbook.xlsx.writeBuffer();
+};
+
+// Import
+
+const IMPORT_FIELDS = [
+    "expense_date",
+    "product_name",
+    "quantity",
+    "amount",
+    "paid_by",
+    "consumers",
+    "category",
+    "note",
+];
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+// "1,234.50" or with decimal_separator "," -> "1.234,50"
+const parseAmount = (text, decimalSeparator) => {
+    let value = String(text || "").replace(/\s/g, "");
+    if (decimalSeparator === ",") {
+        value = value.replace(/\./g, "").replace(",", ".");
+    } else {
+        value = value.replace(/,/g, "");
+    }
+    return /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN;
+};
+
+// An ISO date, optionally with a time part ("2024-01-05T10:30:00Z", "2024-01-05 10:30"),
+// which is dropped. Anything else after the date makes the value invalid.
+const ISO_TIME = /[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/;
+const ISO_DATE_TIME = new RegExp(`^(\\d{4}-\\d{2}-\\d{2})(?:${ISO_TIME.source})?$`);
+
+const parseDate = (text, dateFormat) => {
+    const value = String(text || "").trim();
+    const isoMatch = value.match(ISO_DATE_TIME);
+    if (isoMatch) return isIsoDate(isoMatch[1]) ? isoMatch[1] : null;
+
+    const match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match || dateFormat === "YYYY-MM-DD") return null;
+
+    const [day, month] = dateFormat === "MM/DD/YYYY" ? [match[2], match[1]] : [match[1], match[2]];
+    const iso = `${match[3]}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+    return isIsoDate(iso) && new Date(`${iso}T00:00:00Z`).getUTCDate() === Number(day) ? iso : null;
+};
+
+// client_id of an imported row: the same row of the same file always gets the same one, so
+// running an import again resumes it (see repository.createExpense) instead of doubling rows
+const importClientId = (csv, rowNumber) => {
+    const hash = crypto.createHash("sha256").update(csv).digest("hex").slice(0, 16);
+    return `import-${hash}-${rowNumber}`;
+};
+
+// Match a user by id, email or (accent-insensitive) name
+const findUser = (users, text) => {
+    const value = String(text || "").trim();
+    if (!value) return null;
+    const folded = foldText(value);
+    return (
+        users.find((u) => String(u.id) === value) ||
+        users.find((u) => u.email && u.email.toLowerCase() === value.toLowerCase()) ||
+        users.find((u) => foldText(u.name) === folded) ||
+        null
+    );
+};
+
+// Return [{ field, message }] for every invalid import option; empty when they are valid
+const validateImportOptions = (options) => {
+    const errors = [];
+    if (typeof options.csv !== "string" || !options.csv.trim()) {
+        errors.push({ field: "csv", message: "csv must be a non-empty string" });
+    }
+    const mapping = options.mapping || {};
+    const unknown = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        const expected = IMPORT_FIELDS.join(", ");
+        errors.push({
+            field: "mapping",
+            message: `Unknown mapping fields: ${unknown.join(", ")} (expected ${expected})`,
+        });
+    }
+    if (options.date_format && !DATE_FORMATS.includes(options.date_format)) {
+        errors.push({
+            field: "date_format",
+            message: `date_format must be one of: ${DATE_FORMATS.join(", ")}`,
+        });
+    }
+    if (options.decimal_separator && ![".", ","].includes(options.decimal_separator)) {
+        errors.push({
+            field: "decimal_separator",
+            message: 'decimal_separator must be "." or ","',
+        });
+    }
+    return errors;
+};
+
+// Turn CSV text into expense payloads for createExpense, validating every row. Each payload
+// has a client_id derived from the file and its row number.
+// options: csv, mapping ({ field: "CSV column" }, defaults to the field name), delimiter,
+// date_format, decimal_separator, default_paid_by, default_consumers (user ids)
+const parseExpenseImport = (options, { users, categories }) => {
+    const table = parseCsv(options.csv, options.delimiter || ",");
+    const [header = [], ...lines] = table;
+    const mapping = options.mapping || {};
+    const headerIndex = new Map(header.map((h, i) => [h.trim().toLowerCase(), i]));
+    const columnOf = (field) => headerIndex.get(String(mapping[field] || field).toLowerCase());
+
+    const errors = [];
+    const missingColumns = ["expense_date", "product_name", "amount"].filter(
+        (field) => columnOf(field) === undefined
+    );
+    if (missingColumns.length > 0) {
+        missingColumns.forEach((field) =>
+            errors.push({
+                row: 1,
+                field,
+                message: `Column "${mapping[field] || field}" not found in header`,
+            })
+        );
+        return { rows: [], errors };
+    }
+
+    const rows = lines.map((line, index) => {
+        const rowNumber = index + 2;
+        const cell = (field) => {
+            const column = columnOf(field);
+            return column === undefined ? "" : String(line[column] ?? "").trim();
+        };
+        const rowErrors = [];
+        const fail = (field, message) => rowErrors.push({ row: rowNumber, field, message });
+
+        const expense_date = parseDate(cell("expense_date"), options.date_format);
+        if (!expense_date) fail("expense_date", `Invalid date "${cell("expense_date")}"`);
+
+        const product_name = cell("product_name");
+        if (!product_name) fail("product_name", "Product name is required");
+
+        const amount = parseAmount(cell("amount"), options.decimal_separator);
+        if (!(amount > 0)) fail("amount", `Invalid amount "${cell("amount")}"`);
+
+        const quantityText = cell("quantity");
+        const quantity = quantityText ? Number(quantityText) : 1;
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            fail("quantity", `Invalid quantity "${quantityText}"`);
+        }
+
+        // Members deactivated in the group cannot be picked for new expenses
+        const payerText = cell("paid_by");
+        const payerName = payerText || options.default_paid_by || "";
+        const payer = findUser(users, payerName);
+        if (!payer) {
+            fail("paid_by", `Unknown payer "${payerName}"`);
+        } else if (!payer.active) {
+            fail("paid_by", `Payer "${payerName}" has been deactivated`);
+        }
+
+        const consumerText = cell("consumers");
+        let consumers = [];
+        if (consumerText) {
+            consumerText
+                .split(/[;,|]/)
+                // Exports list consumers as "Name (share)"
+                .map((name) => name.replace(/\([^)]*\)\s*$/, "").trim())
+                .filter(Boolean)
+                .forEach((name) => {
+                    const user = findUser(users, name);
+                    if (!user) {
+                        fail("consumers", `Unknown consumer "${name}"`);
+                    } else if (!user.active) {
+                        fail("consumers", `Consumer "${name}" has been deactivated`);
+                    } else {
+                        consumers.push(user.id);
+                    }
+                });
+        } else {
+            consumers = (options.default_consumers || [])
+                .map((id) => findUser(users, id))
+                .filter((user) => user && user.active)
+                .map((u) => u.id);
+        }
+        if (consumers.length === 0 && !rowErrors.some((e) => e.field === "consumers")) {
+            fail("consumers", "No consumers given and no default_consumers set");
+        }
+        const splitError =
+            consumers.length > 0 &&
+            validateSplit(amount, "equal", normalizeConsumers(consumers, "equal"));
+        if (splitError) fail("consumers", splitError);
+
+        const categoryText = cell("category");
+        let category_id = null;
+        if (categoryText) {
+            const category = categories.find(
+                (c) => String(c.id) === categoryText || foldText(c.name) === foldText(categoryText)
+            );
+            if (category) category_id = category.id;
+            else fail("category", `Unknown category "${categoryText}"`);
+        }
+
+        errors.push(...rowErrors);
+        return {
+            row: rowNumber,
+            valid: rowErrors.length === 0,
+            expense: {
+                product_name,
+                quantity,
+                paid_by: payer && payer.active ? payer.id : null,
+                amount,
+                expense_date,
+                note: cell("note"),
+                category_id,
+                split_type: "equal",
+                consumers,
+                client_id: importClientId(options.csv, rowNumber),
+            },
+        };
+    });
+
+    return { rows, errors };
+};
+
+const duplicateKey = (expenseDate, amount, productName, paidBy) =>
+    [expenseDate, Number(amount).toFixed(2), foldText(productName).trim(), paidBy].join("|");
+
+// Mark valid import rows that match an existing expense on date, amount, product name and
+// payer (e.g. the same bank statement imported twice) with duplicate_of: that expense's id,
+// and rows that repeat an earlier row of the same file with duplicate_of_row: its row number.
+// Expenses created from these very rows (same client_id) are an earlier run of this import
+// being resumed, not duplicates.
+const markDuplicates = (rows, expenses) => {
+    const clientIds = new Set(rows.map((row) => row.expense.client_id));
+    const existing = new Map(
+        expenses
+            .filter((e) => !clientIds.has(e.client_id))
+            .map((e) => [
+                duplicateKey(e.expense_date, e.amount, e.product_name, e.paid_by.id),
+                e.id,
+            ])
+    );
+    const seen = new Map();
+    rows.filter((row) => row.valid).forEach((row) => {
+        const { expense_date, amount, product_name, paid_by } = row.expense;
+        const key = duplicateKey(expense_date, amount, product_name, paid_by);
+        if (existing.has(key)) row.duplicate_of = existing.get(key);
+        else if (seen.has(key)) row.duplicate_of_row = seen.get(key);
+        else seen.set(key, row.row);
+    });
+    return rows;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    IMPORT_FIELDS,
+    expensesTable,
+    balancesTable,
+    tableToCsv,
+    tableToXlsx,
+    validateImportOptions,
+    parseExpenseImport,
+    markDuplicates,
+};
@@ -0,0 +1,181 @@
+const { isIsoDate } = require("./expenseQuery");
+
+// Declarative validation of request bodies and query strings.
+// A schema maps each field to a rule:
+//   type      - "string", "integer", "number", "id" (positive integer), "date" (YYYY-MM-DD),
+//               "month" (YYYY-MM), "email", "url" (http or https), "uuid", "boolean", "enum"
+//               (one of `values`), "array" (items checked against the `of` rule) or "object"
+//   required  - the field must be present and not empty
+//   nullable  - null is accepted for an optional field
+//   min, max, positive        - bounds for numbers
+//   minLength, maxLength      - bounds for strings (after trimming)
+//   minItems, maxItems        - bounds for arrays
+// Absent optional fields are skipped, and so are empty strings except for "string" fields,
+// because query strings and form posts send "" for fields left blank.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const normalizeEmail = (email) =>
+    String(email || "")
+        .trim()
+        .toLowerCase();
+
+const isEmpty = (value) =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Check one present value; returns { value } converted to the rule's type, or { error }
+const checkValue = (field, value, rule) => {
+    switch (rule.type) {
+        case "string": {
+            if (typeof value !== "string" && typeof value !== "number") {
+                return { error: `${field} must be a string` };
+            }
+            const text = String(value).trim();
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                return {
+                    error:
+                        rule.minLength === 1
+                            ? `${field} must not be empty`
+                            : `${field} must be at least ${rule.minLength} characters`,
+                };
+            }
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                return { error: `${field} must be at most ${rule.maxLength} characters` };
+            }
+            return { value: text };
+        }
+        case "integer":
+        case "id":
+        case "number": {
+            const number = typeof value === "string" ? Number(value.trim()) : value;
+            if (typeof number !== "number" || !Number.isFinite(number)) {
+                return { error: `${field} must be a number` };
+            }
+            if (rule.type === "id" && !(Number.isInteger(number) && number > 0)) {
+                return { error: `${field} must be an id (a positive integer)` };
+            }
+            if (rule.type === "integer" && !Number.isInteger(number)) {
+                return { error: `${field} must be an integer` };
+            }
+            if (rule.positive && !(number > 0)) {
+                return { error: `${field} must be a positive number` };
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return { error: `${field} must be at least ${rule.min}` };
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return { error: `${field} must be at most ${rule.max}` };
+            }
+            return { value: number };
+        }
+        case "date":
+            return isIsoDate(String(value))
+                ? { value: String(value) }
+                : { error: `${field} must be a valid date in YYYY-MM-DD format` };
+        case "month":
+            return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value))
+                ? { value: String(value) }
+                : { error: `${field} must be in YYYY-MM format` };
+        case "email":
+            return typeof value === "string" && EMAIL_PATTERN.test(value.trim())
+                ? { value: normalizeEmail(value) }
+                : { error: `${field} must be a valid email address` };
+        case "url": {
+            let url = null;
+            try {
+                url = new URL(String(value).trim());
+            } catch (error) {
+                // reported below
+            }
+            if (!url || !["http:", "https:"].includes(url.protocol)) {
+                return { error: `${field} must be an http or https URL` };
+            }
+            if (rule.maxLength !== undefined && url.href.length > rule.maxLength) {
+                return { error: `${field} must be at most ${rule.maxLength} characters` };
+            }
+            return { value: url.href };
+        }
+        case "uuid":
+            return typeof value === "string" && UUID_PATTERN.test(value.trim())
+                ? { value: value.trim().toLowerCase() }
+                : { error: `${field} must be a UUID` };
+        case "boolean":
+            if ([true, "true", "1", 1].includes(value)) return { value: true };
+            if ([false, "false", "0", 0].includes(value)) return { value: false };
+            return { error: `${field} must be true or false` };
+        case "enum":
+            return rule.values.includes(value)
+                ? { value }
+                : { error: `${field} must be one of: ${rule.values.join(", ")}` };
+        case "array": {
+            if (!Array.isArray(value)) return { error: `${field} must be an array` };
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { error: `${field} must have at least ${rule.minItems} item(s)` };
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return { error: `${field} must have at most ${rule.maxItems} item(s)` };
+            }
+            return { value };
+        }
+        case "object":
+            return typeof value === "object" && value !== null && !Array.isArray(value)
+                ? { value }
+                : { error: `${field} must be an object` };
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    }
+};
+
+// Validate input against a schema. Returns { values, errors } where values holds every
+// valid present field converted to its type and errors is [{ field, message }].
+const validate = (input, schema) => {
+    const values = {};
+    const errors = [];
+    const source = input || {};
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = source[field];
+
+        if (value === null && rule.nullable) {
+            values[field] = null;
+            return;
+        }
+        if (isEmpty(value) && !(rule.type === "string" && typeof value === "string")) {
+            if (rule.required) errors.push({ field, message: `${field} is required` });
+            return;
+        }
+        if (rule.required && isEmpty(value)) {
+            errors.push({ field, message: `${field} is required` });
+            return;
+        }
+
+        const result = checkValue(field, value, rule);
+        if (result.error) {
+            errors.push({ field, message: result.error });
+            return;
+        }
+        if (rule.type === "array" && rule.of) {
+            const itemErrors = [];
+            result.value.forEach((item, i) => {
+                const itemResult = checkValue(`${field}[${i}]`, item, rule.of);
+                if (itemResult.error) itemErrors.push({ field, message: itemResult.error });
+            });
+            if (itemErrors.length > 0) {
+                errors.push(...itemErrors);
+                return;
+            }
+        }
+        values[field] = result.value;
+    });
+
+    return { values, errors };
+};
+
+// The same schema with every field optional, for partial updates
+const partial = (schema) =>
+    Object.fromEntries(
+        Object.entries(schema).map(([field, rule]) => [field, { ...rule, required: false }])
+    );
+
+module.exports = { normalizeEmail, validate, partial };
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const repository = require("./repository");
+const { subscribe } = require("./events");
+const { checkUrl, safeLookup } = require("./outboundUrl");
+
+// Sends group events (services/events) to subscribed URLs as signed JSON POSTs.
+// Each event becomes one row in the delivery log per matching webhook, created before the
+// first attempt so nothing is lost if the process stops. A delivery succeeds on any 2xx
+// answer; otherwise it is retried with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS,
+// doubling each time) until WEBHOOK_MAX_ATTEMPTS attempts have failed.
+//
+// Receivers verify X-Chome-Signature, "sha256=" + hex HMAC-SHA256 of
+// "<X-Chome-Timestamp>.<raw body>" keyed with the webhook secret, and should reject old
+// timestamps to prevent replays. X-Chome-Delivery stays the same across retries.
+// URLs that point into the server's own network are refused before every attempt and while
+// connecting (see services/outboundUrl), and redirects are never followed.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60;
+const TIMEOUT_MS = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+
+// Same "YYYY-MM-DD HH:MM:SS" format as the other timestamp columns
+const timestampIn = (seconds) =>
+    new Date(Date.now() + seconds * 1000).toISOString().slice(0, 19).replace("T", " ");
+
+const sign = (secret, timestamp, body) =>
+    "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+// POST body to url; resolves with the response status. Does not follow redirects.
+const post = (url, headers, body) =>
+    new Promise((resolve, reject) => {
+        const client = url.startsWith("https:") ? https : http;
+        const request = client.request(
+            url,
+            {
+                method: "POST",
+                headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+                lookup: safeLookup,
+            },
+            (response) => {
+                // The body is not needed; discard it
+                response.resume();
+                response.on("end", () => resolve(response.statusCode));
+                response.on("error", reject);
+            }
+        );
+        const timer = setTimeout(() => {
+            const error = new Error(`Timed out after ${TIMEOUT_MS / 1000}s`);
+            error.name = "TimeoutError";
+            request.destroy(error);
+        }, TIMEOUT_MS);
+        request.on("close", () => clearTimeout(timer));
+        request.on("error", reject);
+        request.end(body);
+    });
+
+const buildPayload = (event, data) =>
+    JSON.stringify({
+        id: event.id,
+        type: event.type,
+        created_at: event.occurred_at,
+        group_id: event.group_id,
+        actor_id: event.actor_id,
+        data,
+    });
+
+class WebhookDispatcher {
+    constructor() {
+        this.unsubscribe = null;
+        this.timer = null;
+        this.retrying = null;
+        this.inFlight = new Set();
+    }
+
+    start(intervalSeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30) {
+        if (this.timer) return;
+
+        this.unsubscribe = subscribe((event) => this.handleEvent(event));
+        this.retryDue().catch(() => {});
+        this.timer = setInterval(() => this.retryDue().catch(() => {}), intervalSeconds * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = null;
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    }
+
+    // Event listener: log a delivery for every active webhook of the group that wants the
+    // event, then attempt them right away. Never throws.
+    async handleEvent(event) {
+        try {
+            const webhooks = (await repository.getWebhooks({ groupId: event.group_id })).filter(
+                (webhook) => webhook.active && webhook.events.includes(event.type)
+            );
+            if (webhooks.length === 0) return;
+
+            const payload = buildPayload(event, await repository.getEventData(event));
+            const deliveries = await repository.createWebhookDeliveries(
+                webhooks.map((webhook) => ({
+                    webhook_id: webhook.id,
+                    event_id: event.id,
+                    event: event.type,
+                    payload,
+                    next_attempt_at: timestampIn(0),
+                }))
+            );
+            await Promise.all(deliveries.map((delivery) => this.attempt(delivery)));
+        } catch (error) {
+            console.error(`❌ Error dispatching ${event.type} webhooks:`, error);
+        }
+    }
+
+    // Send a "ping" event to one webhook (regardless of its event list) and return the delivery
+    async ping(webhook) {
+        const event = {
+            id: crypto.randomUUID(),
+            type: "ping",
+            occurred_at: new Date().toISOString(),
+            group_id: webhook.group_id,
+            actor_id: null,
+        };
+        const [delivery] = await repository.createWebhookDeliveries([
+            {
+                webhook_id: webhook.id,
+                event_id: event.id,
+                event: event.type,
+                payload: buildPayload(event, { webhook_id: webhook.id }),
+                next_attempt_at: timestampIn(0),
+            },
+        ]);
+        return this.attempt(delivery);
+    }
+
+    // One attempt at a logged delivery; records the outcome and returns the updated delivery
+    async attempt(delivery) {
+        if (this.inFlight.has(delivery.id)) return delivery;
+        this.inFlight.add(delivery.id);
+
+        try {
+            const webhook = await repository.getWebhookById(delivery.webhook_id);
+            if (!webhook || !webhook.active) {
+                return await repository.updateWebhookDelivery(delivery.id, {
+                    status: "failed",
+                    error: webhook ? "Webhook is disabled" : "Webhook was deleted",
+                    next_attempt_at: "",
+                });
+            }
+
+            const attempts = delivery.attempts + 1;
+            // A URL that is not allowed will not become allowed by retrying
+            const blockedReason = await checkUrl(webhook.url, { allowUnresolved: true });
+            if (blockedReason) {
+                return await repository.updateWebhookDelivery(delivery.id, {
+                    status: "failed",
+                    attempts,
+                    error: blockedReason,
+                    next_attempt_at: "",
+                });
+            }
+            const { responseStatus, error, blocked } = await this.send(webhook, delivery);
+
+            if (!error) {
+                return await repository.updateWebhookDelivery(delivery.id, {
+                    status: "delivered",
+                    attempts,
+                    response_status: responseStatus,
+                    error: "",
+                    next_attempt_at: "",
+                    delivered_at: timestampIn(0),
+                });
+            }
+
+            const giveUp = blocked || attempts >= MAX_ATTEMPTS;
+            console.warn(
+                `⚠️ Webhook ${webhook.id} delivery ${delivery.id} failed (${error}), ` +
+                    (giveUp ? "giving up" : `attempt ${attempts}/${MAX_ATTEMPTS}`)
+            );
+            return await repository.updateWebhookDelivery(delivery.id, {
+                status: giveUp ? "failed" : "pending",
+                attempts,
+                response_status: responseStatus || "",
+                error,
+                next_attempt_at: giveUp
+                    ? ""
+                    : timestampIn(RETRY_BASE_SECONDS * 2 ** (attempts - 1)),
+            });
+        } catch (error) {
+            console.error(`❌ Error delivering webhook delivery ${delivery.id}:`, error);
+            return delivery;
+        } finally {
+            this.inFlight.delete(delivery.id);
+        }
+    }
+
+    // POST the stored payload; returns { responseStatus, error } where error is null on 2xx
+    async send(webhook, delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const headers = {
+                "Content-Type": "application/json",
+                "User-Agent": "Chome2-Webhooks/1.0",
+                "X-Chome-Event": delivery.event,
+                "X-Chome-Delivery": String(delivery.id),
+                "X-Chome-Timestamp": String(timestamp),
+                "X-Chome-Signature": sign(webhook.secret, timestamp, delivery.payload),
+            };
+            const status = await post(webhook.url, headers, delivery.payload);
+
+            return {
+                responseStatus: status,
+                error: status >= 200 && status < 300 ? null : `HTTP ${status}`,
+            };
+        } catch (error) {
+            return {
+                responseStatus: null,
+                error: error.name === "TimeoutError" ? error.message : error.code || error.message,
+                blocked: error.code === "EBLOCKEDADDRESS",
+            };
+        }
+    }
+
+    // Concurrent callers share the pass in progress
+    retryDue() {
+        if (!this.retrying) {
+            this.retrying = repository
+                .getDueWebhookDeliveries()
+                .then(async (deliveries) => {
+                    for (const delivery of deliveries) {
+                        await this.attempt(delivery);
+                    }
+                })
+                .catch((error) => {
+                    console.error("❌ Error retrying webhook deliveries:", error);
+                    throw error;
+                })
+                .finally(() => {
+                    this.retrying = null;
+                });
+        }
+        return this.retrying;
+    }
+}
+
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const repository = require("./repository");
+const { isUnavailableError } = require("./resilience");
+
+// Writes accepted while the storage backend is unavailable. Items are kept in a local JSON
+// file (WRITE_QUEUE_FILE, default data/write-queue.json) so they survive a restart, and are
+// replayed in the order they were queued once storage answers again. A flush stops at the
+// first item that still cannot be written, so later items never overtake earlier ones.
+// Items that fail for another reason (e.g. their payload is no longer valid) are moved to
+// `failed` instead of blocking the queue. Expenses are created with a client_id (the item id
+// for payloads without one) so a write that fails half-way is completed, not repeated, on the
+// next flush (see repository.createExpense). Other kinds are added with register().
+const HANDLERS = {
+    expense: (payload, item) =>
+        repository.createExpense({ ...payload, client_id: payload.client_id || item.id }),
+};
+
+class WriteQueue {
+    constructor() {
+        this.filePath = path.resolve(process.env.WRITE_QUEUE_FILE || "data/write-queue.json");
+        this.data = null;
+        this.loading = null;
+        this.writeChain = Promise.resolve();
+        this.timer = null;
+        this.flushing = null;
+        this.lastFlush = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = fs.promises
+                .readFile(this.filePath, "utf8")
+                .then((raw) => JSON.parse(raw))
+                .catch((error) => {
+                    if (error.code !== "ENOENT") {
+                        console.error("❌ Error reading write queue file:", error.message);
+                        this.loading = null;
+                        throw error;
+                    }
+                    return {};
+                })
+                .then((data) => {
+                    this.data = { items: data.items || [], failed: data.failed || [] };
+                    return this.data;
+                });
+        }
+        return this.loading;
+    }
+
+    // Same atomic replace as the file storage driver
+    persist() {
+        const snapshot = JSON.stringify(this.data, null, 2);
+        this.writeChain = this.writeChain.then(async () => {
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, snapshot);
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        return this.writeChain;
+    }
+
+    // handler(payload, item) writes one item; it throws to fail it (see drain)
+    register(kind, handler) {
+        HANDLERS[kind] = handler;
+    }
+
+    async enqueue(kind, payload) {
+        if (!HANDLERS[kind]) throw new Error(`Unknown write queue item kind "${kind}"`);
+        const data = await this.load();
+
+        const item = {
+            id: crypto.randomUUID(),
+            kind,
+            payload,
+            queued_at: new Date().toISOString(),
+            attempts: 0,
+        };
+        data.items.push(item);
+        await this.persist();
+        console.log(`📥 Queued ${kind} write (${data.items.length} pending)`);
+
+        return { ...item, position: data.items.length };
+    }
+
+    start(intervalSeconds = parseInt(process.env.WRITE_QUEUE_INTERVAL_SECONDS) || 30) {
+        if (this.timer) return;
+
+        this.flush().catch(() => {});
+        this.timer = setInterval(() => this.flush().catch(() => {}), intervalSeconds * 1000);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Concurrent callers share the flush in progress
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drain() {
+        const data = await this.load();
+        let written = 0;
+
+        while (data.items.length > 0) {
+            const item = data.items[0];
+            item.attempts++;
+            try {
+                await HANDLERS[item.kind](item.payload, item);
+                written++;
+            } catch (error) {
+                if (isUnavailableError(error)) {
+                    await this.persist();
+                    break;
+                }
+                console.error(`❌ Queued ${item.kind} write ${item.id} failed:`, error.message);
+                data.failed.push({
+                    ...item,
+                    error: error.message,
+                    failed_at: new Date().toISOString(),
+                });
+            }
+            data.items.shift();
+            await this.persist();
+        }
+
+        if (written > 0) {
+            console.log(`📤 Wrote ${written} queued write(s), ${data.items.length} still pending`);
+        }
+        this.lastFlush = { at: new Date().toISOString(), written, pending: data.items.length };
+        return written;
+    }
+
+    getStats() {
+        const items = this.data ? this.data.items : [];
+        return {
+            depth: items.length,
+            failed: this.data ? this.data.failed.length : 0,
+            oldest_queued_at: items.length > 0 ? items[0].queued_at : null,
+            last_flush: this.lastFlush,
+        };
+    }
+}
+
+module.exports = new WriteQueue();
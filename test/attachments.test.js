@@ -0,0 +1,46 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Attachments stored in a throwaway directory
+const attachmentsDir = path.join(os.tmpdir(), `chome2-attachments-test-${process.pid}`);
+process.env.ATTACHMENTS_DIR = attachmentsDir;
+
+const sharp = require("sharp");
+const attachments = require("../services/attachments");
+
+after(() => fs.rmSync(attachmentsDir, { recursive: true, force: true }));
+
+const upload = (originalname, buffer) => ({ originalname, size: buffer.length, buffer });
+
+const png = () =>
+    sharp({ create: { width: 4, height: 4, channels: 3, background: "#336699" } })
+        .png()
+        .toBuffer();
+
+test("files are accepted by their content, not their name", async () => {
+    assert.equal(attachments.validateFile(upload("scan.pdf", await png())), null);
+    assert.equal(attachments.validateFile(upload("receipt", Buffer.from("%PDF-1.7\n"))), null);
+
+    const disguised = upload("receipt.jpg", Buffer.from("<html><script>alert(1)</script>"));
+    assert.match(attachments.validateFile(disguised), /receipt\.jpg is not a supported file/);
+    assert.match(attachments.validateFile(upload("empty.png", Buffer.alloc(0))), /is empty/);
+});
+
+test("a stored file keeps the detected type, and images get a thumbnail", async () => {
+    const stored = await attachments.storeFile(upload("scan.pdf", await png()));
+    assert.equal(stored.filename, "scan.pdf");
+    assert.equal(stored.mime_type, "image/png");
+    assert.match(stored.storage_key, /\.png$/);
+    assert.match(stored.thumbnail_key, /\.thumb\.jpg$/);
+
+    const thumbnail = await attachments.readFile(stored.thumbnail_key);
+    assert.deepEqual([...thumbnail.subarray(0, 3)], [0xff, 0xd8, 0xff]);
+
+    const pdf = await attachments.storeFile(upload("receipt.png", Buffer.from("%PDF-1.7\n")));
+    assert.equal(pdf.mime_type, "application/pdf");
+    assert.match(pdf.storage_key, /\.pdf$/);
+    assert.equal(pdf.thumbnail_key, "");
+});
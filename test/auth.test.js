@@ -0,0 +1,110 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The auth routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-auth-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+process.env.JWT_SECRET = "test-secret";
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const repository = require("../services/repository");
+const authRoutes = require("../routes/auth");
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/auth", authRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/auth`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const post = async (url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const getSessions = async (token) => {
+    const response = await fetch(`${baseUrl}/sessions`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test("of concurrent registrations with one email only one succeeds", async () => {
+    const results = await Promise.all(
+        ["alice@example.com", "ALICE@example.com", "alice@example.com"].map((email) =>
+            post("/register", { name: "Alice", email, password: "secret1" })
+        )
+    );
+    assert.deepEqual(results.map((result) => result.status).sort(), [201, 400, 400]);
+    const users = await repository.getUsers();
+    const alices = users.filter((user) => user.email.toLowerCase() === "alice@example.com");
+    assert.equal(alices.length, 1);
+});
+
+test("a refresh token works once and replaces itself", async () => {
+    const { body: signedUp } = await post("/register", {
+        name: "Bob",
+        email: "bob@example.com",
+        password: "secret1",
+    });
+
+    const refreshed = await post("/refresh", { refresh_token: signedUp.refresh_token });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refresh_token, signedUp.refresh_token);
+    assert.equal((await getSessions(refreshed.body.token)).status, 200);
+
+    const again = await post("/refresh", { refresh_token: refreshed.body.refresh_token });
+    assert.equal(again.status, 200);
+});
+
+test("reusing a spent refresh token signs the session out", async () => {
+    const { body: signedUp } = await post("/register", {
+        name: "Carol",
+        email: "carol@example.com",
+        password: "secret1",
+    });
+    const { body: refreshed } = await post("/refresh", { refresh_token: signedUp.refresh_token });
+
+    // A copy of the first refresh token is used after the real client moved on
+    const reused = await post("/refresh", { refresh_token: signedUp.refresh_token });
+    assert.equal(reused.status, 401);
+    assert.match(reused.body.message, /already used/);
+
+    const afterReuse = await post("/refresh", { refresh_token: refreshed.refresh_token });
+    assert.equal(afterReuse.status, 401);
+    const sessions = await getSessions(refreshed.token);
+    assert.equal(sessions.status, 401);
+    assert.equal(sessions.body.message, "Session has been revoked");
+});
+
+test("access tokens without a session are refused", async () => {
+    const [user] = await repository.getUsers();
+    const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: "1h" });
+    const sessions = await getSessions(token);
+    assert.equal(sessions.status, 401);
+    assert.match(sessions.body.message, /no session/);
+});
@@ -0,0 +1,54 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The repository against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-expenses-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "error", () => {});
+
+const repository = require("../services/repository");
+
+after(() => fs.rmSync(dataFile, { force: true }));
+
+const consumerIds = (expense) => expense.consumers.map((consumer) => consumer.id);
+
+test("an edit that fails while replacing consumers is versioned and can be run again", async () => {
+    const [alice, bob, carol] = await Promise.all(
+        ["alice", "bob", "carol"].map((name) =>
+            repository.createUser({ name, email: `${name}@example.com`, password: "x" })
+        )
+    );
+    const created = await repository.createExpense({
+        product_name: "Rice",
+        amount: 12,
+        paid_by: alice.id,
+        expense_date: "2026-10-01",
+        consumers: [alice.id, bob.id],
+        created_by: alice.id,
+    });
+    const changes = { note: "split three ways", consumers: [alice.id, bob.id, carol.id] };
+
+    const deleteRow = mock.method(repository.store, "deleteRow", async () => {
+        throw new Error("storage unavailable");
+    });
+    await assert.rejects(repository.updateExpense(created.id, changes, alice.id));
+    deleteRow.mock.restore();
+
+    // The row already carries the new version and the new consumers are in place
+    const interrupted = await repository.getExpenseById(created.id);
+    assert.equal(interrupted.version, 2);
+    assert.equal(interrupted.note, "split three ways");
+    assert.ok([alice.id, bob.id, carol.id].every((id) => consumerIds(interrupted).includes(id)));
+
+    const updated = await repository.updateExpense(created.id, changes, alice.id);
+    assert.deepEqual(consumerIds(updated), [alice.id, bob.id, carol.id]);
+    assert.equal(updated.amount_per_person, 4);
+    assert.equal(updated.version, 3);
+});
@@ -0,0 +1,113 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The group routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-groups-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+
+const express = require("express");
+const repository = require("../services/repository");
+const groupRoutes = require("../routes/groups");
+
+let server;
+let baseUrl;
+let owner;
+let viewer;
+let group;
+
+before(async () => {
+    owner = await repository.createUser({
+        name: "Alice",
+        email: "alice@example.com",
+        password: "x",
+    });
+    viewer = await repository.createUser({
+        name: "Bob",
+        email: "bob@example.com",
+        password: "x",
+    });
+    group = await repository.createGroup({ name: "Home", created_by: owner.id });
+    await repository.joinGroup(group.id, viewer.id);
+    await repository.setMemberRole(group.id, viewer.id, "viewer");
+
+    const app = express();
+    app.use(express.json());
+    // The caller is named by a header instead of a token
+    app.use((req, res, next) => {
+        req.user = { id: parseInt(req.headers["x-user-id"]) };
+        next();
+    });
+    app.use("/groups", groupRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/groups`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const request = async (user, method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { "Content-Type": "application/json", "X-User-Id": String(user.id) },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test("only admins and the owner see the invite code", async () => {
+    const [ownGroup] = (await request(owner, "GET", "/")).body;
+    assert.equal(ownGroup.invite_code, group.invite_code);
+
+    const [viewedGroup] = (await request(viewer, "GET", "/")).body;
+    assert.equal(viewedGroup.role, "viewer");
+    assert.equal("invite_code" in viewedGroup, false);
+    assert.equal("invite_url" in viewedGroup, false);
+    assert.equal("invite_code" in (await request(viewer, "GET", `/${group.id}`)).body, false);
+});
+
+test("leaving and rejoining keeps the earlier role", async () => {
+    assert.equal((await request(viewer, "POST", `/${group.id}/leave`)).status, 200);
+    assert.deepEqual(await repository.getUserGroups(viewer.id), []);
+
+    const joined = await request(viewer, "POST", "/join", { invite_code: group.invite_code });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.group.role, "viewer");
+    const [membership] = await repository.getUserGroups(viewer.id);
+    assert.equal(membership.role, "viewer");
+
+    const again = await request(viewer, "POST", "/join", { invite_code: group.invite_code });
+    assert.equal(again.status, 409);
+    assert.equal((await repository.getGroupMembers(group.id)).length, 2);
+});
+
+test("a deactivated member stays deactivated when they leave and rejoin", async () => {
+    const mover = await repository.createUser({
+        name: "Carol",
+        email: "carol@example.com",
+        password: "x",
+    });
+    await repository.joinGroup(group.id, mover.id);
+    await repository.setMemberActive(group.id, mover.id, false, owner.id);
+
+    assert.equal((await request(mover, "POST", `/${group.id}/leave`)).status, 200);
+    const joined = await request(mover, "POST", "/join", { invite_code: group.invite_code });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.group.active, false);
+
+    const [membership] = await repository.getUserGroups(mover.id);
+    assert.equal(membership.active, false);
+    const member = (await repository.getGroupMembers(group.id)).find((m) => m.id === mover.id);
+    assert.equal(member.active, false);
+    assert.ok(member.deactivated_at);
+});
@@ -0,0 +1,99 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.IDEMPOTENCY_MAX_KEYS = "3";
+
+const express = require("express");
+const { idempotent } = require("../middleware/idempotency");
+
+let server;
+let baseUrl;
+let created = 0;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post("/items", idempotent, (req, res) => {
+        created += 1;
+        res.status(201).json({ id: created, name: req.body.name });
+    });
+    app.post("/failing", idempotent, (req, res) => {
+        created += 1;
+        res.status(503).json({ message: "Storage is temporarily unavailable" });
+    });
+    // Never answers, like a handler whose promise rejected
+    app.post("/stuck", idempotent, () => {});
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+});
+
+const post = async (url, key, body = { name: "rice" }, signal) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Idempotency-Key": key },
+        body: JSON.stringify(body),
+        signal,
+    });
+    return {
+        status: response.status,
+        replayed: response.headers.get("Idempotent-Replayed") === "true",
+        body: await response.json(),
+    };
+};
+
+test("a repeated key replays the first response without running the handler again", async () => {
+    const first = await post("/items", "replay");
+    const again = await post("/items", "replay");
+    assert.equal(first.status, 201);
+    assert.equal(again.status, 201);
+    assert.equal(again.replayed, true);
+    assert.deepEqual(again.body, first.body);
+
+    const changed = await post("/items", "replay", { name: "milk" });
+    assert.equal(changed.status, 422);
+    assert.equal(created, first.body.id);
+});
+
+test("server errors are not remembered", async () => {
+    const before = created;
+    assert.equal((await post("/failing", "retry")).status, 503);
+    const retried = await post("/failing", "retry");
+    assert.equal(retried.replayed, false);
+    assert.equal(created, before + 2);
+});
+
+test("only the most recent keys are kept", async () => {
+    const first = await post("/items", "oldest");
+    for (const key of ["a", "b", "c"]) await post("/items", key);
+
+    const again = await post("/items", "oldest");
+    assert.equal(again.replayed, false);
+    assert.notEqual(again.body.id, first.body.id);
+});
+
+test("a request that never answers releases its key after a while", async () => {
+    const controller = new AbortController();
+    const pending = post("/stuck", "stuck", undefined, controller.signal).catch(() => {});
+    // Let the first request reach the handler
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const busy = await post("/stuck", "stuck", undefined, AbortSignal.timeout(1000));
+    assert.equal(busy.status, 409);
+
+    mock.timers.enable({ apis: ["Date"], now: Date.now() + 6 * 60 * 1000 });
+    try {
+        const later = post("/stuck", "stuck", undefined, AbortSignal.timeout(200));
+        await assert.rejects(later, { name: "TimeoutError" });
+    } finally {
+        mock.timers.reset();
+        controller.abort();
+        await pending;
+    }
+});
@@ -0,0 +1,103 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The migrations against a data file written before groups and split types existed
+const dataFile = path.join(os.tmpdir(), `chome2-migrations-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+const legacy = {
+    tables: {
+        users: [
+            { id: "2", name: "Bob", email: "bob@example.com", password: "x", created_at: "" },
+            { id: "1", name: "Alice", email: "alice@example.com", password: "x", created_at: "" },
+        ],
+        expenses: [
+            {
+                id: "1",
+                product_name: "Rice",
+                quantity: "1",
+                paid_by: "1",
+                amount: "10",
+                expense_date: "2024-05-01",
+                created_at: "",
+            },
+        ],
+        expense_consumers: [
+            { id: "1", expense_id: "1", user_id: "1", created_at: "" },
+            { id: "2", expense_id: "1", user_id: "2", created_at: "" },
+        ],
+    },
+};
+fs.writeFileSync(dataFile, JSON.stringify(legacy));
+
+// The store and the migrations report progress on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+
+const repository = require("../services/repository");
+const { migrate } = require("../services/migrations");
+
+after(() => fs.rmSync(dataFile, { force: true }));
+
+test("groups created before the migrations ran leave the default group's id free", async () => {
+    const dana = await repository.createUser({
+        name: "Dana",
+        email: "dana@example.com",
+        password: "x",
+    });
+    const group = await repository.createGroup({ name: "Dana's", created_by: dana.id });
+    assert.equal(group.id, 2);
+    assert.deepEqual(await repository.getExpenses({ groupId: group.id }), []);
+});
+
+test("a dry run reports the migrations without writing anything", async () => {
+    const report = await migrate({ dryRun: true });
+    assert.deepEqual(report.schema_version, { from: 0, to: 3 });
+    assert.deepEqual(
+        report.migrations.map((migration) => migration.name),
+        ["001-default-group-ids", "002-consumer-split-types", "003-default-group"]
+    );
+    const groups = await repository.store.getRows("groups");
+    assert.deepEqual(groups.map((group) => group.id), ["2"]);
+    assert.equal((await repository.store.getRows("expenses"))[0].group_id, "");
+});
+
+test("old data is moved into the default group with equal splits", async () => {
+    const report = await migrate();
+    assert.deepEqual(report.schema_version, { from: 0, to: 3 });
+    assert.equal(await repository.getMetadata("schema_version"), "3");
+
+    const [expense] = await repository.store.getRows("expenses");
+    assert.equal(expense.group_id, "1");
+    const consumers = await repository.store.getRows("expense_consumers");
+    assert.deepEqual(
+        consumers.map((consumer) => [consumer.split_type, consumer.weight]),
+        [
+            ["equal", "1"],
+            ["equal", "1"],
+        ]
+    );
+
+    const group = await repository.getGroupById(1);
+    assert.equal(group.created_by, 1);
+    // Dana registered after groups existed and is only in her own group
+    const members = await repository.getGroupMembers(1);
+    assert.deepEqual(
+        members.map((member) => [String(member.id), member.role]),
+        [
+            ["1", "owner"],
+            ["2", "member"],
+        ]
+    );
+});
+
+test("running the migrations again changes nothing", async () => {
+    const before = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+    const report = await migrate();
+    assert.deepEqual(report.schema_version, { from: 3, to: 3 });
+    assert.deepEqual(report.migrations, []);
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataFile, "utf8")), before);
+});
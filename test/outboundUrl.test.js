@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkUrl, safeLookup } = require("../services/outboundUrl");
+
+test("URLs naming the server's own network are refused", async () => {
+    for (const url of [
+        "http://127.0.0.1/hook",
+        "http://169.254.169.254/latest/meta-data",
+        "http://10.1.2.3/",
+        "http://[::1]/",
+        "http://[fd00::1]/",
+    ]) {
+        assert.match(await checkUrl(url), /private or reserved/, url);
+    }
+    assert.equal(await checkUrl("ftp://8.8.8.8/"), "URL must use http or https");
+});
+
+test("IPv6 addresses embedding a private IPv4 address are refused", async () => {
+    for (const url of [
+        "http://[::ffff:127.0.0.1]/",
+        "http://[::ffff:a9fe:a9fe]/",
+        "http://[0:0:0:0:0:ffff:10.0.0.1]/",
+        "http://[::127.0.0.1]/",
+        "http://[2002:7f00:1::]/",
+        "http://[64:ff9b::a00:1]/",
+    ]) {
+        assert.match(await checkUrl(url), /private or reserved/, url);
+    }
+});
+
+test("public addresses are allowed", async () => {
+    for (const url of [
+        "https://8.8.8.8/",
+        "http://[::ffff:8.8.8.8]/",
+        "http://[2606:4700::1111]/",
+    ]) {
+        assert.equal(await checkUrl(url), null, url);
+    }
+});
+
+test("the connection's own lookup refuses blocked addresses", async () => {
+    const error = await new Promise((resolve) => safeLookup("localhost", {}, resolve));
+    assert.equal(error.code, "EBLOCKEDADDRESS");
+});
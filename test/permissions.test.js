@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ROLES, roleOf, can, denial, expenseAction, permit } = require("../middleware/permissions");
+
+// Lowest role allowed to do each action
+const MATRIX = {
+    "expenses.create": "member",
+    "expenses.edit_own": "member",
+    "expenses.edit_any": "admin",
+    "expenses.pay_for_others": "admin",
+    "expenses.import": "admin",
+    "categories.manage": "member",
+    "shopping.manage": "member",
+    "settlements.manage": "admin",
+    "recurring.manage": "admin",
+    "users.manage": "admin",
+    "admins.manage": "owner",
+    "webhooks.manage": "owner",
+};
+
+test("each role can do exactly the actions of its level and below", () => {
+    for (const role of ROLES) {
+        for (const [action, lowest] of Object.entries(MATRIX)) {
+            const expected = ROLES.indexOf(role) >= ROLES.indexOf(lowest);
+            assert.equal(can({ role }, action), expected, `${role} / ${action}`);
+        }
+    }
+});
+
+test("memberships without a known role count as member", () => {
+    assert.equal(roleOf({ role: "" }), "member");
+    assert.equal(roleOf({ role: "superuser" }), "member");
+    assert.equal(can({ role: "" }, "expenses.create"), true);
+    assert.equal(can({ role: "" }, "expenses.edit_any"), false);
+});
+
+test("members deactivated in the group can only read", () => {
+    const group = { role: "owner", active: false };
+    assert.equal(roleOf(group), "viewer");
+    Object.keys(MATRIX).forEach((action) => assert.equal(can(group, action), false, action));
+    assert.match(denial(group, "expenses.create").message, /deactivated in this group/);
+});
+
+test("denial names the caller's role and the role required", () => {
+    assert.deepEqual(denial({ role: "viewer" }, "expenses.create"), {
+        error: "Forbidden",
+        message: "Your role in this group (viewer) does not allow you to record expenses",
+        required_role: "member",
+    });
+});
+
+test("editing an expense needs edit_any unless the caller owns it", () => {
+    const req = { user: { id: 1 } };
+    const expense = (created_by, paidBy) => ({ created_by, paid_by: { id: paidBy } });
+    assert.equal(expenseAction(req, expense(1, 2)), "expenses.edit_own");
+    assert.equal(expenseAction(req, expense(2, 1)), "expenses.edit_any");
+    // Expenses recorded before created_by existed belong to their payer
+    assert.equal(expenseAction(req, expense(null, 1)), "expenses.edit_own");
+    assert.equal(expenseAction(req, expense(null, 2)), "expenses.edit_any");
+});
+
+test("permit lets allowed requests through and answers 403 otherwise", () => {
+    const response = () => ({
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    });
+    let called = false;
+    permit("settlements.manage")({ group: { role: "admin" } }, response(), () => (called = true));
+    assert.equal(called, true);
+
+    const res = response();
+    permit("settlements.manage")({ group: { role: "member" } }, res, () => assert.fail());
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.required_role, "admin");
+});
@@ -0,0 +1,78 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateRule, occurrencesBetween, nextOccurrence } = require("../services/recurrence");
+
+const monthly = (day_of_month, extra = {}) => ({
+    frequency: "monthly",
+    day_of_month,
+    start_date: "2024-01-01",
+    ...extra,
+});
+
+test("monthly rules are clamped to the last day of shorter months", () => {
+    assert.deepEqual(occurrencesBetween(monthly(31), "2024-01-01", "2024-05-31"), [
+        "2024-01-31",
+        "2024-02-29",
+        "2024-03-31",
+        "2024-04-30",
+        "2024-05-31",
+    ]);
+    assert.deepEqual(
+        occurrencesBetween(monthly(30, { start_date: "2023-01-01" }), "2023-02-01", "2023-03-31"),
+        ["2023-02-28", "2023-03-30"]
+    );
+});
+
+test("clamping does not move later months off their day", () => {
+    assert.deepEqual(
+        occurrencesBetween(monthly(29, { start_date: "2023-01-01" }), "2023-02-01", "2023-04-30"),
+        ["2023-02-28", "2023-03-29", "2023-04-29"]
+    );
+});
+
+test("monthly rules cross the year end", () => {
+    assert.deepEqual(occurrencesBetween(monthly(31), "2024-11-15", "2025-02-28"), [
+        "2024-11-30",
+        "2024-12-31",
+        "2025-01-31",
+        "2025-02-28",
+    ]);
+});
+
+test("occurrences stay within start_date and end_date", () => {
+    const rule = monthly(15, { start_date: "2024-03-20", end_date: "2024-06-14" });
+    assert.deepEqual(occurrencesBetween(rule, "2024-01-01", "2024-12-31"), [
+        "2024-04-15",
+        "2024-05-15",
+    ]);
+    assert.deepEqual(occurrencesBetween(rule, "2024-07-01", "2024-12-31"), []);
+});
+
+test("nextOccurrence finds the clamped month-end date", () => {
+    assert.equal(nextOccurrence(monthly(31), "2024-01-31"), "2024-02-29");
+    assert.equal(nextOccurrence(monthly(31), "2024-02-29"), "2024-03-31");
+    assert.equal(nextOccurrence(monthly(31, { end_date: "2024-03-30" }), "2024-02-29"), null);
+});
+
+test("weekly and interval rules", () => {
+    const weekly = { frequency: "weekly", day_of_week: 1, start_date: "2024-01-01" };
+    assert.deepEqual(occurrencesBetween(weekly, "2024-01-02", "2024-01-22"), [
+        "2024-01-08",
+        "2024-01-15",
+        "2024-01-22",
+    ]);
+    const interval = { frequency: "interval", interval_days: 10, start_date: "2024-02-25" };
+    assert.deepEqual(occurrencesBetween(interval, "2024-03-01", "2024-03-31"), [
+        "2024-03-06",
+        "2024-03-16",
+        "2024-03-26",
+    ]);
+});
+
+test("validateRule reports invalid rules", () => {
+    assert.deepEqual(validateRule(monthly(31)), []);
+    const fields = (rule) => validateRule(rule).map((error) => error.field);
+    assert.deepEqual(fields(monthly(32)), ["day_of_month"]);
+    assert.deepEqual(fields(monthly(1, { start_date: "2024-02-30" })), ["start_date"]);
+    assert.deepEqual(fields(monthly(1, { end_date: "2023-12-31" })), ["end_date"]);
+});
@@ -0,0 +1,97 @@
+const { test, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The scheduler against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-scheduler-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "error", () => {});
+
+const repository = require("../services/repository");
+const scheduler = require("../services/scheduler");
+
+after(() => fs.rmSync(dataFile, { force: true }));
+
+const monthlyRent = async (name) => {
+    const user = await repository.createUser({
+        name,
+        email: `${name}@example.com`,
+        password: "x",
+    });
+    const group = await repository.createGroup({ name, created_by: user.id });
+    await repository.createRecurringExpense({
+        product_name: "Rent",
+        quantity: 1,
+        paid_by: user.id,
+        amount: 500,
+        split_type: "equal",
+        consumers: [{ user_id: user.id }],
+        frequency: "monthly",
+        day_of_month: 1,
+        start_date: "2026-01-01",
+        group_id: group.id,
+        created_by: user.id,
+    });
+    return group;
+};
+
+const occurrenceDates = async (group) =>
+    (await repository.getExpenses({ groupId: group.id })).map((expense) => expense.expense_date);
+
+test("a group's run only generates that group's occurrences", async () => {
+    const home = await monthlyRent("home");
+    const office = await monthlyRent("office");
+
+    const created = await scheduler.run({ asOf: "2026-03-15", groupId: home.id });
+    assert.deepEqual(created.map((expense) => expense.group_id), [home.id, home.id, home.id]);
+    assert.deepEqual(await occurrenceDates(home), ["2026-01-01", "2026-02-01", "2026-03-01"]);
+    assert.deepEqual(await occurrenceDates(office), []);
+    assert.equal(scheduler.lastRun, null);
+
+    // The scheduled run catches up the other group without repeating the first one
+    await scheduler.run({ asOf: "2026-03-15" });
+    assert.equal((await occurrenceDates(home)).length, 3);
+    assert.deepEqual(await occurrenceDates(office), ["2026-01-01", "2026-02-01", "2026-03-01"]);
+    assert.equal(scheduler.lastRun.created, 3);
+});
+
+test("templates charging someone no longer active in the group are not generated", async () => {
+    const payer = await repository.createUser({
+        name: "flat",
+        email: "flat@example.com",
+        password: "x",
+    });
+    const mover = await repository.createUser({
+        name: "mover",
+        email: "mover@example.com",
+        password: "x",
+    });
+    const group = await repository.createGroup({ name: "flat", created_by: payer.id });
+    await repository.joinGroup(group.id, mover.id);
+    const template = await repository.createRecurringExpense({
+        product_name: "Internet",
+        quantity: 1,
+        paid_by: payer.id,
+        amount: 30,
+        split_type: "equal",
+        consumers: [payer.id, mover.id],
+        frequency: "monthly",
+        day_of_month: 5,
+        start_date: "2026-01-01",
+        group_id: group.id,
+        created_by: payer.id,
+    });
+    await repository.setMemberActive(group.id, mover.id, false, payer.id);
+
+    await scheduler.run({ asOf: "2026-03-15" });
+    assert.deepEqual(await occurrenceDates(group), []);
+    const failure = scheduler.lastRun.failed.find((f) => f.template_id === template.id);
+    assert.match(failure.error, /has been deactivated/);
+    assert.equal((await repository.getRecurringExpenseById(template.id)).last_generated_date, null);
+});
@@ -0,0 +1,157 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The shopping routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-shopping-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "error", () => {});
+
+const express = require("express");
+const repository = require("../services/repository");
+const shoppingRoutes = require("../routes/shopping");
+
+let server;
+let baseUrl;
+let user;
+let group;
+
+before(async () => {
+    user = await repository.createUser({
+        name: "Alice",
+        email: "alice@example.com",
+        password: "x",
+    });
+    group = await repository.createGroup({ name: "Home", created_by: user.id });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { id: user.id };
+        req.group = { ...group, role: "owner" };
+        next();
+    });
+    app.use("/shopping", shoppingRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/shopping`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const post = async (url, body = {}, headers = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const checkedItem = async (name) => {
+    const { body } = await post("/", { name });
+    await post(`/${body.item.id}/check`);
+    return body.item.id;
+};
+
+const expenseCount = async () => (await repository.getExpenses({ groupId: group.id })).length;
+
+test("a purchase that failed after its expense was written is completed by a retry", async () => {
+    const ids = [await checkedItem("Bread"), await checkedItem("Butter")];
+    const before = await expenseCount();
+
+    // Storage fails while the second item is being marked purchased
+    const updateRow = repository.store.updateRow;
+    const failing = mock.method(repository.store, "updateRow", function (table, id, changes) {
+        if (table === "shopping_items" && id === String(ids[1]) && changes.expense_id) {
+            throw new Error("storage unavailable");
+        }
+        return updateRow.call(this, table, id, changes);
+    });
+    const key = { "Idempotency-Key": "bread-and-butter" };
+    const failed = await post("/purchase", { item_ids: ids, amount: 6 }, key);
+    failing.mock.restore();
+    assert.equal(failed.status, 500);
+
+    const changed = await post("/purchase", { item_ids: ids, amount: 7 }, key);
+    assert.equal(changed.status, 422);
+
+    const retried = await post("/purchase", { item_ids: ids, amount: 6 }, key);
+    assert.equal(retried.status, 201);
+    assert.deepEqual(
+        retried.body.items.map((item) => [item.status, item.expense_id]),
+        [
+            ["purchased", retried.body.expense.id],
+            ["purchased", retried.body.expense.id],
+        ]
+    );
+    assert.equal(await expenseCount(), before + 1);
+
+    const repeated = await post("/purchase", { item_ids: ids, amount: 6 }, key);
+    assert.equal(repeated.body.expense.id, retried.body.expense.id);
+    assert.equal(await expenseCount(), before + 1);
+});
+
+test("an item cannot be unchecked while it is being purchased", async () => {
+    const id = await checkedItem("Milk");
+    const [purchase, unchecked] = await Promise.all([
+        repository.purchaseShoppingItems([id], {
+            product_name: "Milk",
+            amount: 2,
+            quantity: 1,
+            paid_by: user.id,
+            expense_date: "2026-10-01",
+            group_id: group.id,
+            consumers: [user.id],
+        }),
+        repository.setShoppingItemChecked(id, false, user.id),
+    ]);
+    assert.ok(purchase);
+    assert.equal(unchecked.status, "purchased");
+    assert.ok(unchecked.checked_at);
+});
+
+test("a new purchase never resumes an earlier one whose item id was reused", async () => {
+    const id = await checkedItem("Cheese");
+    const before = await expenseCount();
+
+    const updateRow = repository.store.updateRow;
+    const failing = mock.method(repository.store, "updateRow", function (table, rowId, changes) {
+        if (table === "shopping_items" && changes.expense_id) {
+            throw new Error("storage unavailable");
+        }
+        return updateRow.call(this, table, rowId, changes);
+    });
+    const failed = await post(
+        "/purchase",
+        { item_ids: [id], amount: 8 },
+        { "Idempotency-Key": "cheese" }
+    );
+    failing.mock.restore();
+    assert.equal(failed.status, 500);
+
+    // The item is deleted and its id handed out again
+    await fetch(`${baseUrl}/${id}`, { method: "DELETE" });
+    const reused = await checkedItem("Olives");
+    assert.equal(reused, id);
+
+    const bought = await post(
+        "/purchase",
+        { item_ids: [id], amount: 3 },
+        { "Idempotency-Key": "olives" }
+    );
+    assert.equal(bought.status, 201);
+    assert.equal(bought.body.expense.amount, 3);
+    assert.equal(bought.body.expense.product_name, "Olives");
+    assert.equal(await expenseCount(), before + 2);
+});
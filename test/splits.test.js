@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeConsumers, validateSplit, allocateShares } = require("../services/splits");
+
+const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+
+test("equal splits give leftover cents to the first consumers", () => {
+    const consumers = normalizeConsumers([1, 2, 3]);
+    assert.deepEqual(allocateShares(10, consumers), [3.34, 3.33, 3.33]);
+    assert.deepEqual(allocateShares(0.01, consumers), [0.01, 0, 0]);
+});
+
+test("shares split by weight and always add up to the amount", () => {
+    const consumers = normalizeConsumers(
+        [
+            { user_id: 1, share: 2 },
+            { user_id: 2, share: 1 },
+            { user_id: 3, share: 0.5 },
+        ],
+        "shares"
+    );
+    const shares = allocateShares(100, consumers);
+    assert.deepEqual(shares, [57.14, 28.57, 14.29]);
+    assert.equal(sum(shares), 100);
+});
+
+test("percent splits are rounded to cents without losing any", () => {
+    const consumers = normalizeConsumers(
+        [
+            { user_id: 1, percent: 33.33 },
+            { user_id: 2, percent: 33.33 },
+            { user_id: 3, percent: 33.34 },
+        ],
+        "percent"
+    );
+    assert.equal(validateSplit(20, "percent", consumers), null);
+    assert.equal(sum(allocateShares(20, consumers)), 20);
+});
+
+test("exact splits return the amounts as given", () => {
+    const consumers = normalizeConsumers(
+        [
+            { user_id: 1, amount: 12.5 },
+            { user_id: 2, amount: 7.5 },
+        ],
+        "exact"
+    );
+    assert.equal(validateSplit(20, "exact", consumers), null);
+    assert.deepEqual(allocateShares(20, consumers), [12.5, 7.5]);
+});
+
+test("rows stored before split types existed are equal splits", () => {
+    const rows = [
+        { user_id: "1", split_type: "", weight: "" },
+        { user_id: "2", split_type: "", weight: "" },
+    ];
+    assert.deepEqual(allocateShares("9.99", rows), [5, 4.99]);
+});
+
+test("no consumers means no shares", () => {
+    assert.deepEqual(allocateShares(10, []), []);
+});
+
+test("validateSplit rejects invalid splits", () => {
+    const check = (amount, splitType, consumers) =>
+        validateSplit(amount, splitType, normalizeConsumers(consumers, splitType));
+
+    assert.match(check(10, "thirds", [1]), /split_type must be one of/);
+    assert.match(check(10, "equal", [1, 1]), /only appear once/);
+    assert.match(check(10, "equal", ["x"]), /needs a user_id/);
+    assert.match(check(10, "shares", [{ user_id: 1, share: -1 }]), /non-negative/);
+    assert.match(check(10, "shares", [{ user_id: 1, share: 0 }]), /positive share/);
+    assert.match(
+        check(10, "percent", [
+            { user_id: 1, percent: 50 },
+            { user_id: 2, percent: 40 },
+        ]),
+        /add up to 100 \(got 90\)/
+    );
+    assert.match(
+        check(10, "exact", [
+            { user_id: 1, amount: 3.33 },
+            { user_id: 2, amount: 6.66 },
+        ]),
+        /add up to 10 \(got 9.99\)/
+    );
+});
@@ -0,0 +1,168 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The sync routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-sync-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+
+const express = require("express");
+const repository = require("../services/repository");
+const syncRoutes = require("../routes/sync");
+
+let server;
+let baseUrl;
+let user;
+let group;
+
+before(async () => {
+    user = await repository.createUser({
+        name: "Alice",
+        email: "alice@example.com",
+        password: "x",
+    });
+    group = await repository.createGroup({ name: "Home", created_by: user.id });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { id: user.id };
+        req.group = { ...group, role: "owner" };
+        next();
+    });
+    app.use("/sync", syncRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/sync`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const push = async (...changes) => {
+    const response = await fetch(baseUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ changes }),
+    });
+    assert.equal(response.status, 200);
+    return (await response.json()).results;
+};
+
+const pushOne = async (change) => (await push(change))[0];
+
+const createExpense = async () => {
+    const result = await pushOne({
+        op: "create",
+        client_id: crypto.randomUUID(),
+        expense: {
+            product_name: "Rice",
+            amount: 10,
+            expense_date: "2026-10-01",
+            consumers: [user.id],
+        },
+    });
+    assert.equal(result.status, "applied");
+    return result.expense;
+};
+
+test("a create pushed again returns the expense made the first time", async () => {
+    const change = {
+        op: "create",
+        client_id: crypto.randomUUID(),
+        expense: {
+            product_name: "Milk",
+            amount: 3,
+            expense_date: "2026-10-01",
+            consumers: [user.id],
+        },
+    };
+    const [first, second] = await push(change, change);
+    assert.equal(first.status, "applied");
+    assert.equal(second.status, "applied");
+    assert.equal(second.id, first.id);
+});
+
+test("an update at the current version is applied and bumps the version", async () => {
+    const expense = await createExpense();
+    const result = await pushOne({
+        op: "update",
+        id: expense.id,
+        base_version: expense.version,
+        expense: { note: "changed" },
+    });
+    assert.equal(result.status, "applied");
+    assert.equal(result.expense.note, "changed");
+    assert.equal(result.expense.version, expense.version + 1);
+});
+
+test("an update from an older version conflicts and changes nothing", async () => {
+    const expense = await createExpense();
+    await pushOne({ op: "update", id: expense.id, base_version: 1, expense: { note: "first" } });
+
+    const result = await pushOne({
+        op: "update",
+        id: expense.id,
+        base_version: 1,
+        expense: { note: "second" },
+    });
+    assert.equal(result.status, "conflict");
+    assert.equal(result.expense.note, "first");
+    assert.equal(result.expense.version, 2);
+});
+
+test("of concurrent pushes from the same version only one is applied", async () => {
+    const expense = await createExpense();
+    const results = await Promise.all(
+        ["a", "b", "c"].map((note) =>
+            pushOne({ op: "update", id: expense.id, base_version: 1, expense: { note } })
+        )
+    );
+    const statuses = results.map((result) => result.status).sort();
+    assert.deepEqual(statuses, ["applied", "conflict", "conflict"]);
+    assert.equal((await repository.getExpenseById(expense.id)).version, 2);
+});
+
+test("deletes follow the same version rules", async () => {
+    const expense = await createExpense();
+    await pushOne({ op: "update", id: expense.id, base_version: 1, expense: { note: "x" } });
+
+    const stale = await pushOne({ op: "delete", id: expense.id, base_version: 1 });
+    assert.equal(stale.status, "conflict");
+
+    const deleted = await pushOne({ op: "delete", id: expense.id, base_version: 2 });
+    assert.equal(deleted.status, "applied");
+    assert.ok(deleted.expense.deleted_at);
+
+    // Deleting again succeeds; updating a deleted expense is a conflict
+    const again = await pushOne({ op: "delete", id: expense.id, base_version: 2 });
+    assert.equal(again.status, "applied");
+    const update = await pushOne({
+        op: "update",
+        id: expense.id,
+        base_version: 3,
+        expense: { note: "y" },
+    });
+    assert.equal(update.status, "conflict");
+    assert.equal(update.message, "The expense has been deleted");
+});
+
+test("changes to unknown expenses and invalid changes are reported per change", async () => {
+    const [missing, noVersion] = await push(
+        { op: "delete", id: 999999, base_version: 1 },
+        { op: "delete", id: 1 }
+    );
+    assert.equal(missing.status, "not_found");
+    assert.equal(noVersion.status, "rejected");
+    assert.equal(noVersion.errors[0].field, "base_version");
+});
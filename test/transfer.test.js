@@ -0,0 +1,175 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The export and import routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-transfer-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "error", () => {});
+
+const express = require("express");
+const repository = require("../services/repository");
+const exportRoutes = require("../routes/export");
+const importRoutes = require("../routes/import");
+
+let server;
+let baseUrl;
+let alice;
+let bob;
+let group;
+
+before(async () => {
+    alice = await repository.createUser({
+        name: "Alice",
+        email: "alice@example.com",
+        password: "x",
+    });
+    bob = await repository.createUser({ name: "Bob", email: "bob@example.com", password: "x" });
+    group = await repository.createGroup({ name: "Home", created_by: alice.id });
+    await repository.addGroupMember(group.id, bob.id);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { id: alice.id };
+        req.group = { ...group, role: "owner" };
+        next();
+    });
+    app.use("/export", exportRoutes);
+    app.use("/import", importRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const postImport = async (body) => {
+    const response = await fetch(`${baseUrl}/import/expenses`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const groupExpenses = () => repository.getExpenses({ groupId: group.id });
+
+test("an exported CSV imports back to the same expenses, flagged as duplicates", async () => {
+    const originals = await Promise.all(
+        [
+            { product_name: "Rice", amount: 12.5, consumers: [alice.id, bob.id] },
+            { product_name: "Soap", amount: 3, consumers: [bob.id] },
+        ].map((data) =>
+            repository.createExpense({
+                ...data,
+                quantity: 1,
+                paid_by: alice.id,
+                expense_date: "2026-10-01",
+                group_id: group.id,
+                created_by: alice.id,
+            })
+        )
+    );
+
+    const response = await fetch(`${baseUrl}/export/expenses?format=csv`);
+    assert.equal(response.status, 200);
+    const csv = await response.text();
+
+    const preview = await postImport({ csv, allow_duplicates: true });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.invalid_rows, 0);
+    const imported = preview.body.preview.map((row) => ({
+        product_name: row.product_name,
+        amount: row.amount,
+        paid_by: row.paid_by,
+        consumers: row.consumers,
+    }));
+    assert.deepEqual(
+        imported.sort((a, b) => a.amount - b.amount),
+        [
+            { product_name: "Soap", amount: 3, paid_by: alice.id, consumers: [bob.id] },
+            {
+                product_name: "Rice",
+                amount: 12.5,
+                paid_by: alice.id,
+                consumers: [alice.id, bob.id],
+            },
+        ]
+    );
+
+    const committed = await postImport({ csv, dry_run: false });
+    assert.equal(committed.status, 201);
+    assert.deepEqual(committed.body.imported, []);
+    assert.deepEqual(
+        committed.body.duplicates.map((duplicate) => duplicate.expense_id),
+        originals.map((expense) => expense.id)
+    );
+});
+
+test("an import that fails part-way is finished by posting the same file again", async () => {
+    const csv = [
+        "expense_date,product_name,amount,paid_by,consumers",
+        "2026-09-01,Milk,2,Alice,Alice;Bob",
+        "2026-09-02,Eggs,4,Bob,Alice",
+        "2026-09-01,Milk,2,Alice,Alice;Bob",
+    ].join("\n");
+    const before = (await groupExpenses()).length;
+
+    // Storage goes away after the second row's expense row was written
+    const unavailable = Object.assign(new Error("Storage unavailable"), {
+        code: "SERVICE_UNAVAILABLE",
+    });
+    const addExpenseConsumers = repository.addExpenseConsumers;
+    let calls = 0;
+    const addConsumers = mock.method(repository, "addExpenseConsumers", function (...args) {
+        calls += 1;
+        if (calls === 2) throw unavailable;
+        return addExpenseConsumers.apply(this, args);
+    });
+    const failed = await postImport({ csv, dry_run: false });
+    addConsumers.mock.restore();
+
+    assert.equal(failed.status, 503);
+    assert.equal(failed.body.failed_row, 3);
+    assert.deepEqual(failed.body.imported.map((row) => row.row), [2]);
+    assert.deepEqual(failed.body.duplicates, [{ row: 4, duplicate_of_row: 2 }]);
+
+    const finished = await postImport({ csv, dry_run: false });
+    assert.equal(finished.status, 201);
+    assert.deepEqual(finished.body.imported.map((row) => row.row), [2, 3]);
+    assert.equal(finished.body.imported[0].id, failed.body.imported[0].id);
+
+    const expenses = await groupExpenses();
+    assert.equal(expenses.length, before + 2);
+    const eggs = expenses.find((expense) => expense.product_name === "Eggs");
+    assert.deepEqual(eggs.consumers.map((consumer) => consumer.id), [alice.id]);
+});
+
+test("dates may carry an ISO time but nothing else", async () => {
+    const csv = [
+        "expense_date,product_name,amount,paid_by,consumers",
+        `2026-10-02T09:15:00Z,Tea,2,${alice.id},${alice.id}`,
+        `2026-10-03 18:40,Jam,4,${alice.id},${alice.id}`,
+        `2026-10-04garbage,Salt,1,${alice.id},${alice.id}`,
+    ].join("\n");
+    const preview = await postImport({ csv });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(
+        preview.body.preview.map((row) => row.expense_date),
+        ["2026-10-02", "2026-10-03"]
+    );
+    assert.deepEqual(preview.body.errors, [
+        { row: 4, field: "expense_date", message: 'Invalid date "2026-10-04garbage"' },
+    ]);
+});
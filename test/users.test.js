@@ -0,0 +1,79 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The user routes against a throwaway data file
+const dataFile = path.join(os.tmpdir(), `chome2-users-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+
+const express = require("express");
+const repository = require("../services/repository");
+const userRoutes = require("../routes/users");
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    // The caller is named by a header instead of a token
+    app.use((req, res, next) => {
+        req.user = { id: parseInt(req.headers["x-user-id"]) };
+        next();
+    });
+    app.use("/users", userRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/users`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+const updateProfile = async (user, body) => {
+    const response = await fetch(`${baseUrl}/me`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", "X-User-Id": String(user.id) },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test("of concurrent changes to one email only one succeeds", async () => {
+    const users = [];
+    for (const name of ["alice", "bob", "carol"]) {
+        users.push(
+            await repository.createUser({ name, email: `${name}@example.com`, password: "x" })
+        );
+    }
+
+    // Slow reads, so that the requests overlap
+    const getRows = repository.store.getRows;
+    const slowReads = mock.method(repository.store, "getRows", async function (table) {
+        const rows = await getRows.call(this, table);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return rows;
+    });
+    const results = await Promise.all(
+        users.map((user) => updateProfile(user, { email: "shared@example.com" }))
+    );
+    slowReads.mock.restore();
+    assert.deepEqual(results.map((result) => result.status).sort(), [200, 400, 400]);
+    const owners = (await repository.getUsers()).filter(
+        (user) => user.email === "shared@example.com"
+    );
+    assert.equal(owners.length, 1);
+
+    // Keeping one's own address, in any case, is not a conflict
+    const [owner] = owners;
+    assert.equal((await updateProfile(owner, { email: "SHARED@example.com" })).status, 200);
+});
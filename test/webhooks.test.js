@@ -0,0 +1,61 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The dispatcher against a throwaway data file and a local receiver
+const dataFile = path.join(os.tmpdir(), `chome2-webhooks-test-${process.pid}.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+
+const webhooks = require("../services/webhooks");
+
+let receiver;
+let receiverUrl;
+const received = [];
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(204).end();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+});
+
+test("deliveries carry an HMAC of the timestamp and raw body keyed with the secret", async () => {
+    const secret = webhooks.generateSecret();
+    const payload = JSON.stringify({ id: "evt-1", type: "expense.created", data: { amount: 5 } });
+    const result = await webhooks.send(
+        { url: receiverUrl, secret },
+        { id: 7, event: "expense.created", payload }
+    );
+    assert.deepEqual(result, { responseStatus: 204, error: null });
+
+    const [{ headers, body }] = received;
+    assert.equal(body, payload);
+    assert.equal(headers["x-chome-delivery"], "7");
+    assert.equal(headers["x-chome-event"], "expense.created");
+
+    // What a receiver does to verify a delivery
+    const expected = crypto
+        .createHmac("sha256", secret)
+        .update(`${headers["x-chome-timestamp"]}.${body}`)
+        .digest("hex");
+    assert.equal(headers["x-chome-signature"], `sha256=${expected}`);
+});
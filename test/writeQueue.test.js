@@ -0,0 +1,129 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The expense routes and the write queue against throwaway files
+const dataFile = path.join(os.tmpdir(), `chome2-queue-test-${process.pid}.json`);
+const queueFile = path.join(os.tmpdir(), `chome2-queue-test-${process.pid}-queue.json`);
+process.env.STORAGE_DRIVER = "file";
+process.env.DATA_FILE = dataFile;
+process.env.WRITE_QUEUE_FILE = queueFile;
+process.env.JWT_SECRET = "test-secret";
+
+// The store announces its data file on stdout, which the test runner reads
+mock.method(console, "log", () => {});
+mock.method(console, "error", () => {});
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const repository = require("../services/repository");
+const writeQueue = require("../services/writeQueue");
+const { ServiceUnavailableError } = require("../services/resilience");
+const { authenticate, allowDeferred } = require("../middleware/auth");
+const { selectGroup } = require("../middleware/group");
+const expenseRoutes = require("../routes/expenses");
+
+let server;
+let baseUrl;
+let user;
+let group;
+let otherGroup;
+let token;
+
+before(async () => {
+    user = await repository.createUser({
+        name: "Alice",
+        email: "alice@example.com",
+        password: "x",
+    });
+    const bob = await repository.createUser({
+        name: "Bob",
+        email: "bob@example.com",
+        password: "x",
+    });
+    group = await repository.createGroup({ name: "Home", created_by: user.id });
+    otherGroup = await repository.createGroup({ name: "Office", created_by: bob.id });
+    const session = await repository.createSession({
+        user_id: user.id,
+        token_hash: "x",
+        expires_at: "2999-01-01 00:00:00",
+    });
+    token = jwt.sign({ userId: user.id, sid: session.id }, process.env.JWT_SECRET);
+
+    const app = express();
+    app.use(express.json());
+    app.post("/expenses", allowDeferred);
+    app.use("/expenses", authenticate, selectGroup, expenseRoutes);
+    await new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/expenses`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataFile, { force: true });
+    fs.rmSync(queueFile, { force: true });
+});
+
+const postExpense = async (groupId, productName) => {
+    const response = await fetch(baseUrl, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${token}`,
+            "X-Group-Id": String(groupId),
+        },
+        body: JSON.stringify({
+            product_name: productName,
+            amount: 10,
+            expense_date: "2026-10-01",
+            consumers: [user.id],
+        }),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test("expenses posted while nothing can be read are queued and checked when written", async () => {
+    // A cold cache during an outage: every read fails
+    const getRows = mock.method(repository.store, "getRows", async () => {
+        throw new ServiceUnavailableError("Google Sheets is unavailable (circuit open)");
+    });
+    const queued = await postExpense(group.id, "Rice");
+    const intruding = await postExpense(otherGroup.id, "Coffee");
+    getRows.mock.restore();
+
+    assert.equal(queued.status, 202);
+    assert.equal(intruding.status, 202);
+    assert.equal(writeQueue.getStats().depth, 2);
+
+    assert.equal(await writeQueue.flush(), 1);
+    const stats = writeQueue.getStats();
+    assert.equal(stats.depth, 0);
+    assert.equal(stats.failed, 1);
+    assert.equal(writeQueue.data.failed[0].error, "You are not a member of this group");
+
+    const [expense] = await repository.getExpenses({ groupId: group.id });
+    assert.equal(expense.product_name, "Rice");
+    assert.equal(expense.created_by, user.id);
+    assert.deepEqual(await repository.getExpenses({ groupId: otherGroup.id }), []);
+});
+
+test("the queue stops at the first write storage still refuses and keeps the order", async () => {
+    const unavailable = new ServiceUnavailableError("Google Sheets is unavailable");
+    const createExpense = mock.method(repository, "createExpense", async () => {
+        throw unavailable;
+    });
+    assert.equal((await postExpense(group.id, "Milk")).status, 202);
+    assert.equal((await postExpense(group.id, "Eggs")).status, 202);
+
+    assert.equal(await writeQueue.flush(), 0);
+    assert.equal(writeQueue.getStats().depth, 2);
+    createExpense.mock.restore();
+
+    assert.equal(await writeQueue.flush(), 2);
+    const names = (await repository.getExpenses({ groupId: group.id })).map((e) => e.product_name);
+    assert.deepEqual(names, ["Rice", "Milk", "Eggs"]);
+});